@@ -0,0 +1,38 @@
+/**
+ * content-bridge.js — Settings relay for SF Query Editor Helper.
+ *
+ * Runs in the ISOLATED world (the default for content scripts), where
+ * chrome.storage is available.  Posts the stored export settings to the
+ * MAIN-world scripts (content-settings.js) when they ask at startup and again
+ * whenever the options page changes them.  Only settings travel this way —
+ * never query data.
+ */
+(function () {
+  'use strict';
+
+  // Must match content-settings.js
+  const MSG_SOURCE = '__SF_DC_CSV__settings';
+  const STORAGE_KEY = 'exportSettings';
+
+  function send() {
+    chrome.storage.sync.get({ [STORAGE_KEY]: {} }, (items) => {
+      if (chrome.runtime.lastError) return;
+      window.postMessage(
+        { source: MSG_SOURCE, type: 'settings', settings: items[STORAGE_KEY] },
+        window.location.origin
+      );
+    });
+  }
+
+  window.addEventListener('message', (e) => {
+    if (e.source !== window || e.data?.source !== MSG_SOURCE || e.data.type !== 'request') return;
+    send();
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[STORAGE_KEY]) send();
+  });
+
+  // Covers the case where the MAIN-world request went out before we were listening
+  send();
+})();
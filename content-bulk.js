@@ -0,0 +1,183 @@
+/**
+ * content-bulk.js — Bulk API 2.0 query export for SF Query Editor Helper.
+ *
+ * Loaded before content.js in the MAIN "world" (same JS execution context).
+ * Exposes window.__SF_DC_BULK__.runBulkQuery, which exports a SOQL query
+ * through a Bulk API 2.0 query job instead of walking nextRecordsUrl 2,000
+ * records at a time:
+ *
+ *   1. POST /services/data/vXX.X/jobs/query            → create the job
+ *   2. GET  /services/data/vXX.X/jobs/query/{id}       → poll until JobComplete
+ *   3. GET  /services/data/vXX.X/jobs/query/{id}/results?locator=…
+ *      → CSV result pages, chained through the Sforce-Locator header
+ *
+ * Result pages are appended to a Blob as they arrive (the header row is kept
+ * from the first page only), so the export is never held as one string.
+ *
+ * The module has no hidden dependencies: the caller passes the base URL, the
+ * Authorization header and the fetch implementation, so it can be pointed at
+ * a local stub of the Bulk endpoints for testing (test/bulk-stub.js).
+ */
+window.__SF_DC_BULK__ = (function () {
+  'use strict';
+
+  const POLL_INTERVAL_MS = 2_000;
+  const MAX_RECORDS_PER_PAGE = 50_000;
+  const MIN_API_VERSION = 47;  // Bulk API 2.0 query jobs arrived in v47.0
+
+  function abortError() {
+    return new DOMException('Bulk export cancelled', 'AbortError');
+  }
+
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) { reject(abortError()); return; }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    });
+  }
+
+  /** Turn a REST error body ([{ errorCode, message }]) into an Error. */
+  async function responseError(resp, what) {
+    let detail = '';
+    try {
+      const body = await resp.json();
+      const first = Array.isArray(body) ? body[0] : body;
+      detail = first?.message ? `: ${first.message}` : '';
+    } catch (_) {}
+    return new Error(`${what} failed (${resp.status})${detail}`.slice(0, 300));
+  }
+
+  /**
+   * Run a Bulk API 2.0 query job and collect its CSV results.
+   *
+   * @param {object}   options
+   * @param {string}   options.soql        - Query text.
+   * @param {string}   options.apiVersion  - e.g. "62.0" (47.0 or later).
+   * @param {string}   [options.operation='query'] - 'query' or 'queryAll'.
+   * @param {string}   [options.columnDelimiter='COMMA'] - Bulk API name:
+   *        COMMA | SEMICOLON | TAB | PIPE | CARET | BACKQUOTE.
+   * @param {string}   [options.lineEnding='CRLF'] - 'CRLF' or 'LF'.
+   * @param {boolean}  [options.bom=true] - Prefix the CSV with a UTF-8 BOM.
+   * @param {string}   [options.baseUrl]   - Defaults to the page origin.
+   * @param {string}   [options.authHeader] - e.g. "OAuth 00D…"; sent as Authorization.
+   * @param {Function} [options.fetchImpl] - fetch-compatible function.
+   * @param {AbortSignal} [options.signal] - Aborting also aborts the job server-side.
+   * @param {Function} [options.onProgress] - ({ phase, state, processed, downloaded }).
+   * @param {number}   [options.pollIntervalMs]
+   * @returns {Promise<{ jobId: string, blob: Blob, rowCount: number }>}
+   */
+  async function runBulkQuery({
+    soql,
+    apiVersion,
+    operation = 'query',
+    columnDelimiter = 'COMMA',
+    lineEnding = 'CRLF',
+    bom = true,
+    baseUrl = window.location.origin,
+    authHeader = null,
+    fetchImpl = window.fetch.bind(window),
+    signal,
+    onProgress = () => {},
+    pollIntervalMs = POLL_INTERVAL_MS,
+  }) {
+    if (!soql) throw new Error('No SOQL text captured for this result');
+    if (!(parseFloat(apiVersion) >= MIN_API_VERSION)) {
+      throw new Error(`Bulk API 2.0 queries need API v${MIN_API_VERSION}.0 or later`);
+    }
+
+    const jobsUrl = `${baseUrl}/services/data/v${apiVersion}/jobs/query`;
+    const headers = (accept, extra = {}) => ({
+      Accept: accept,
+      ...(authHeader ? { Authorization: authHeader } : {}),
+      ...extra,
+    });
+    const request = (url, init) =>
+      fetchImpl(url, { credentials: 'include', signal, ...init });
+
+    // 1. Create the job
+    onProgress({ phase: 'creating' });
+    const createResp = await request(jobsUrl, {
+      method: 'POST',
+      headers: headers('application/json', { 'Content-Type': 'application/json' }),
+      body: JSON.stringify({
+        operation,
+        query: soql,
+        contentType: 'CSV',
+        columnDelimiter,
+        lineEnding,
+      }),
+    });
+    if (!createResp.ok) throw await responseError(createResp, 'Creating Bulk API job');
+    const jobId = (await createResp.json()).id;
+    const jobUrl = `${jobsUrl}/${jobId}`;
+
+    try {
+      // 2. Poll until the job finishes
+      let job;
+      while (true) {
+        const pollResp = await request(jobUrl, { headers: headers('application/json') });
+        if (!pollResp.ok) throw await responseError(pollResp, 'Polling Bulk API job');
+        job = await pollResp.json();
+        onProgress({ phase: 'processing', state: job.state, processed: job.numberRecordsProcessed ?? 0 });
+
+        if (job.state === 'JobComplete') break;
+        if (job.state === 'Failed' || job.state === 'Aborted') {
+          throw new Error(`Bulk API job ${job.state.toLowerCase()}${job.errorMessage ? ': ' + job.errorMessage : ''}`);
+        }
+        await wait(pollIntervalMs, signal);
+      }
+
+      // 3. Stream result pages, following Sforce-Locator
+      const total = job.numberRecordsProcessed ?? null;
+      const parts = bom ? ['\uFEFF'] : [];
+      let downloaded = 0;
+      let locator = null;
+      let first = true;
+
+      do {
+        const url = `${jobUrl}/results?maxRecords=${MAX_RECORDS_PER_PAGE}` +
+          (locator ? `&locator=${encodeURIComponent(locator)}` : '');
+        const pageResp = await request(url, { headers: headers('text/csv') });
+        if (!pageResp.ok) throw await responseError(pageResp, 'Downloading Bulk API results');
+
+        let text = await pageResp.text();
+        if (!first) {
+          // Every page repeats the header row; keep it from the first page only
+          const eol = text.indexOf('\n');
+          text = eol === -1 ? '' : text.slice(eol + 1);
+        }
+        if (text) parts.push(new Blob([text]));
+        first = false;
+
+        const pageCount = Number(pageResp.headers.get('Sforce-NumberOfRecords'));
+        downloaded += Number.isFinite(pageCount) ? pageCount : 0;
+        onProgress({ phase: 'downloading', downloaded, processed: total });
+
+        locator = pageResp.headers.get('Sforce-Locator');
+      } while (locator && locator !== 'null');
+
+      return {
+        jobId,
+        blob: new Blob(parts, { type: 'text/csv;charset=utf-8;' }),
+        rowCount: downloaded,
+      };
+    } catch (e) {
+      if (signal?.aborted) {
+        // Best effort: stop the job server-side too.  Deliberately unsignalled.
+        fetchImpl(jobUrl, {
+          method: 'PATCH',
+          credentials: 'include',
+          headers: headers('application/json', { 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ state: 'Aborted' }),
+        }).catch(() => {});
+      }
+      throw e;
+    }
+  }
+
+  return { runBulkQuery };
+})();
@@ -0,0 +1,344 @@
+/**
+ * content-columns.js — Column layouts (choose, reorder, rename) for SF Query Editor Helper.
+ *
+ * Loaded after content-filename.js and before content-csv.js in the MAIN
+ * "world".  Exposes window.__SF_DC_COLUMNS__:
+ *
+ *   – layouts are remembered per SOQL object type / DC table in localStorage,
+ *     so choosing columns once for Account applies to every Account export;
+ *   – applyLayout(specs, layout) turns the builders' column specs
+ *     ({ header, type, get }) into the chosen subset, order and headers;
+ *   – mountPicker renders the "Columns" panel inside a toast.
+ *
+ * A layout is { columns: [{ key, label, include }] } in output order, where
+ * `key` is the original header.  Columns that appear after a layout was
+ * saved (the query changed) are appended at the end, included.
+ */
+window.__SF_DC_COLUMNS__ = (function () {
+  'use strict';
+
+  const KEY_PREFIX = '__SF_DC_CSV__columns:';
+
+  const CSS = `
+    .cols-head {
+      margin: 10px 0 6px;
+      font-size: 12px;
+      color: #3e3e3c;
+    }
+
+    .cols-tools {
+      display: flex;
+      gap: 10px;
+      margin-bottom: 6px;
+    }
+
+    .cols-list {
+      list-style: none;
+      max-height: 260px;
+      overflow: auto;
+      border: 1px solid #dddbda;
+      border-radius: 4px;
+    }
+
+    .cols-item {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 3px 6px;
+      border-bottom: 1px solid #f3f2f2;
+      font-size: 12px;
+      background: #ffffff;
+    }
+    .cols-item:last-child { border-bottom: none; }
+    .cols-item.dragging { opacity: 0.4; }
+    .cols-item.excluded .cols-label { color: #b0adab; text-decoration: line-through; }
+
+    .cols-grip {
+      cursor: grab;
+      color: #b0adab;
+      user-select: none;
+    }
+
+    .cols-label {
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+      padding: 2px 6px;
+      border: 1px solid transparent;
+      border-radius: 3px;
+      background: transparent;
+    }
+    .cols-label:hover, .cols-label:focus { border-color: #dddbda; outline: none; }
+
+    .cols-orig {
+      font-size: 11px;
+      color: #706e6b;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      max-width: 40%;
+    }
+
+    .cols-move {
+      background: none;
+      border: none;
+      padding: 0 2px;
+      color: #706e6b;
+      cursor: pointer;
+      font-size: 11px;
+    }
+    .cols-move:hover { color: #0176d3; }
+
+    .cols-actions {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+    }
+  `;
+
+  // ── Scopes and storage ─────────────────────────────────────────────────────
+
+  /** Storage scope for a DC query: its table, from the SQL FROM clause. */
+  function dcScope(sql) {
+    return 'dc:' + (window.__SF_DC_FILENAME__.extractTableName(sql) ?? '(unknown table)');
+  }
+
+  /** Storage scope for SOQL records of `objectType`. */
+  function soqlScope(objectType) {
+    return 'soql:' + (objectType ?? 'soql');
+  }
+
+  function load(scope) {
+    try {
+      const layout = JSON.parse(localStorage.getItem(KEY_PREFIX + scope));
+      return Array.isArray(layout?.columns) ? layout : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function save(scope, layout) {
+    try {
+      localStorage.setItem(KEY_PREFIX + scope, JSON.stringify(layout));
+    } catch (e) {
+      console.warn('[SF DC CSV Exporter] could not save column layout:', e.message);
+    }
+  }
+
+  function clear(scope) {
+    try { localStorage.removeItem(KEY_PREFIX + scope); } catch (_) {}
+  }
+
+  // ── Applying a layout ──────────────────────────────────────────────────────
+
+  /**
+   * Stable keys for a header list.  Repeated headers (possible in DC results)
+   * get " #2", " #3", … so each column can be told apart.
+   */
+  function headerKeys(headers) {
+    const counts = new Map();
+    return headers.map((h) => {
+      const n = (counts.get(h) ?? 0) + 1;
+      counts.set(h, n);
+      return n === 1 ? String(h) : `${h} #${n}`;
+    });
+  }
+
+  /**
+   * Apply `layout` to column specs: keep the included columns in the chosen
+   * order with their new headers, then append columns the layout doesn't
+   * know.  Returns `specs` unchanged when there is no layout.
+   */
+  function applyLayout(specs, layout) {
+    if (!layout) return specs;
+    const keys = headerKeys(specs.map((s) => s.header));
+    const byKey = new Map(specs.map((s, i) => [keys[i], s]));
+    const out = [];
+    const seen = new Set();
+
+    for (const col of layout.columns) {
+      const spec = byKey.get(col.key);
+      if (!spec || seen.has(col.key)) continue;
+      seen.add(col.key);
+      if (!col.include) continue;
+      out.push(col.label && col.label !== spec.header ? { ...spec, header: col.label } : spec);
+    }
+    keys.forEach((key, i) => {
+      if (!seen.has(key)) out.push(specs[i]);
+    });
+    return out;
+  }
+
+  // ── Picker ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Render the column picker into `container` (inside a toast's shadow root).
+   *
+   * @param {HTMLElement} container
+   * @param {object}   options
+   * @param {string[]} options.headers - Original headers, in default order.
+   * @param {string}   options.scope   - Storage scope (dcScope / soqlScope).
+   * @param {string}   options.name    - Object type or table shown to the user.
+   * @param {Function} [options.onChange] - Called with the saved layout (or null).
+   * @returns {{ destroy(): void }}
+   */
+  function mountPicker(container, { headers, scope, name, onChange = () => {} }) {
+    const keys = headerKeys(headers);
+    const originals = new Map(keys.map((k, i) => [k, String(headers[i])]));
+
+    container.innerHTML = `
+      <style>${CSS}</style>
+      <div class="cols-head"></div>
+      <div class="cols-tools">
+        <button class="link-btn" data-act="all">Select all</button>
+        <button class="link-btn" data-act="none">Select none</button>
+      </div>
+      <ol class="cols-list"></ol>
+      <div class="cols-actions">
+        <button class="btn btn-download btn-small" data-act="save">Save columns</button>
+        <button class="btn btn-dismiss btn-small" data-act="reset">Reset to all columns</button>
+        <span class="format-status" data-role="status"></span>
+      </div>
+    `;
+    const head = container.querySelector('.cols-head');
+    const list = container.querySelector('.cols-list');
+    const status = container.querySelector('[data-role="status"]');
+    head.append('Untick, drag or rename columns for ');
+    head.appendChild(document.createElement('b')).textContent = name;
+    head.append(' — saved choices apply to every download, copy and export of it.');
+
+    function setStatus(text, isError = false) {
+      status.textContent = text;
+      status.classList.toggle('error', isError);
+    }
+
+    function itemFor(col) {
+      const li = document.createElement('li');
+      li.className = 'cols-item';
+      li.draggable = true;
+      li.dataset.key = col.key;
+
+      const grip = li.appendChild(document.createElement('span'));
+      grip.className = 'cols-grip';
+      grip.textContent = '⋮⋮';
+      grip.title = 'Drag to reorder';
+
+      const check = li.appendChild(document.createElement('input'));
+      check.type = 'checkbox';
+      check.checked = col.include;
+      check.title = 'Include this column';
+      li.classList.toggle('excluded', !col.include);
+      check.addEventListener('change', () => li.classList.toggle('excluded', !check.checked));
+
+      const label = li.appendChild(document.createElement('input'));
+      label.className = 'cols-label';
+      label.value = col.label ?? originals.get(col.key);
+      label.title = 'Column header in the export';
+      // Keep typing (Escape included) from reaching page-level shortcuts
+      label.addEventListener('keydown', (e) => e.stopPropagation());
+
+      const orig = li.appendChild(document.createElement('span'));
+      orig.className = 'cols-orig';
+      const updateOrig = () => {
+        const original = originals.get(col.key);
+        orig.textContent = label.value.trim() && label.value.trim() !== original ? original : '';
+        orig.title = orig.textContent;
+      };
+      label.addEventListener('input', updateOrig);
+      updateOrig();
+
+      for (const [text, delta, title] of [['▲', -1, 'Move up'], ['▼', 1, 'Move down']]) {
+        const btn = li.appendChild(document.createElement('button'));
+        btn.className = 'cols-move';
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', () => {
+          const sibling = delta < 0 ? li.previousElementSibling : li.nextElementSibling;
+          if (!sibling) return;
+          if (delta < 0) list.insertBefore(li, sibling);
+          else list.insertBefore(sibling, li);
+        });
+      }
+      return li;
+    }
+
+    function render(layout) {
+      list.textContent = '';
+      // Same order as applyLayout: saved columns first, then any new ones
+      const ordered = layout
+        ? layout.columns.filter((c) => originals.has(c.key))
+        : [];
+      const known = new Set(ordered.map((c) => c.key));
+      for (const key of keys) {
+        if (!known.has(key)) ordered.push({ key, label: null, include: true });
+      }
+      for (const col of ordered) list.appendChild(itemFor(col));
+    }
+
+    function readLayout() {
+      return {
+        columns: [...list.children].map((li) => ({
+          key: li.dataset.key,
+          label: li.querySelector('.cols-label').value.trim() || originals.get(li.dataset.key),
+          include: li.querySelector('input[type="checkbox"]').checked,
+        })),
+      };
+    }
+
+    // Drag to reorder: the dragged item follows the pointer through the list
+    let dragging = null;
+    list.addEventListener('dragstart', (e) => {
+      dragging = e.target.closest('.cols-item');
+      dragging?.classList.add('dragging');
+      e.dataTransfer?.setData('text/plain', dragging?.dataset.key ?? '');
+    });
+    list.addEventListener('dragover', (e) => {
+      if (!dragging) return;
+      e.preventDefault();
+      const over = e.target.closest('.cols-item');
+      if (!over || over === dragging) return;
+      const { top, height } = over.getBoundingClientRect();
+      list.insertBefore(dragging, e.clientY > top + height / 2 ? over.nextSibling : over);
+    });
+    list.addEventListener('dragend', () => {
+      dragging?.classList.remove('dragging');
+      dragging = null;
+    });
+
+    container.addEventListener('click', (e) => {
+      const act = e.target.closest('[data-act]')?.dataset.act;
+      if (!act) return;
+      if (act === 'all' || act === 'none') {
+        for (const li of list.children) {
+          li.querySelector('input[type="checkbox"]').checked = act === 'all';
+          li.classList.toggle('excluded', act === 'none');
+        }
+      } else if (act === 'save') {
+        const layout = readLayout();
+        if (!layout.columns.some((c) => c.include)) {
+          setStatus('Keep at least one column', true);
+          return;
+        }
+        save(scope, layout);
+        setStatus(`✓ Saved for ${name}`);
+        onChange(layout);
+      } else if (act === 'reset') {
+        clear(scope);
+        render(null);
+        setStatus('Reset — all columns, original order');
+        onChange(null);
+      }
+    });
+
+    render(load(scope));
+
+    return {
+      destroy() {
+        container.textContent = '';
+      },
+    };
+  }
+
+  return { dcScope, soqlScope, load, save, clear, applyLayout, mountPicker };
+})();
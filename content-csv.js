@@ -1,13 +1,22 @@
 /**
- * content-csv.js — CSV/TSV generation and download for SF Query Editor Helper.
+ * content-csv.js — CSV/TSV/XLSX/JSON generation and download for SF Query Editor Helper.
  *
  * Loaded before content.js in the MAIN "world" (same JS execution context).
  * Exposes window.__SF_DC_CSV__ with helpers used by both the DC Aura flow
- * and the Developer Console SOQL flow.
+ * and the Developer Console SOQL flow.  XLSX workbooks are delegated to
+ * window.__SF_DC_XLSX__ (content-xlsx.js).
  */
 window.__SF_DC_CSV__ = (function () {
   'use strict';
 
+  // Delimiter, BOM, filename templates, … (content-settings.js, loaded first)
+  const settings = window.__SF_DC_SETTINGS__;
+  const { renderFilename, sanitizeFilename, extractTableName } = window.__SF_DC_FILENAME__;
+  // Saved column choices per object / table (content-columns.js)
+  const columnLayouts = window.__SF_DC_COLUMNS__;
+  // Dates, numbers, booleans and nulls in text exports (content-format.js)
+  const { createValueFormatter } = window.__SF_DC_FORMAT__;
+
   /**
    * Extract an ordered array of column names from whatever shape metadata is.
    *
@@ -34,17 +43,138 @@ window.__SF_DC_CSV__ = (function () {
     return [];
   }
 
-  /** CSV cell escaping: wraps in double-quotes when the value contains a
-   *  comma, quote, or line break. */
-  function escapeCell(val) {
+  /**
+   * Map a Data Cloud metadata type name onto one of the value kinds the
+   * exporters understand: 'number' | 'boolean' | 'date' | 'datetime' | 'string'.
+   */
+  function normalizeColumnType(rawType) {
+    const t = String(rawType ?? '').toUpperCase();
+    if (/^(NUMBER|NUMERIC|DECIMAL|DOUBLE|FLOAT|REAL|INT|INTEGER|BIGINT|SMALLINT|TINYINT|CURRENCY|PERCENT|LONG)\b/.test(t)) return 'number';
+    if (/^BOOL/.test(t)) return 'boolean';
+    if (/^DATE$/.test(t)) return 'date';
+    if (/^(DATETIME|DATE_TIME|TIMESTAMP)/.test(t)) return 'datetime';
+    return 'string';
+  }
+
+  /** Per-column value kinds from DC metadata, parallel to getColumnNames. */
+  function getColumnTypes(metadata) {
+    const cols = Array.isArray(metadata)
+      ? metadata
+      : Array.isArray(metadata?.fields) ? metadata.fields : [];
+    return cols.map((col) =>
+      normalizeColumnType(
+        col?.type ?? col?.dataType ?? col?.fieldType ?? col?.typeName ?? col?.sqlType
+      )
+    );
+  }
+
+  /**
+   * Column specs for a DC accumulator, in the same { header, type, get } shape
+   * that getSoqlColumnSpecs returns, so the preview grid and the XLSX writer
+   * can treat both flows alike.
+   * Each dataRow entry is { row: [val1, val2, …] } (or a bare array).
+   */
+  function getDcColumnSpecs(metadata) {
+    const types = getColumnTypes(metadata);
+    return getColumnNames(metadata).map((header, i) => ({
+      header,
+      type: types[i] ?? 'string',
+      get: (entry) => (Array.isArray(entry?.row) ? entry.row : entry)?.[i],
+    }));
+  }
+
+  /**
+   * Headers, value kinds and a dataRow → values function for DC rows,
+   * with a column layout (content-columns.js) applied.  Without a layout rows
+   * pass through as-is, keeping any values beyond the metadata's columns.
+   */
+  function dcColumns(metadata, layout) {
+    const specs = columnLayouts.applyLayout(getDcColumnSpecs(metadata), layout);
+    return {
+      specs,
+      headers: specs.map((s) => s.header),
+      kinds: specs.map((s) => s.type),
+      values: layout
+        ? (entry) => specs.map((s) => s.get(entry))
+        : (entry) => (Array.isArray(entry?.row) ? entry.row : entry),
+    };
+  }
+
+  /** CSV cell escaping: wraps in double-quotes when the value contains the
+   *  delimiter, a quote, or a line break. */
+  function escapeCell(val, delimiter = ',') {
     if (val === null || val === undefined) return '';
     const s = String(val);
-    if (s.includes(',') || s.includes('"') || s.includes('\n') || s.includes('\r')) {
+    if (s.includes(delimiter) || s.includes('"') || s.includes('\n') || s.includes('\r')) {
       return '"' + s.replace(/"/g, '""') + '"';
     }
     return s;
   }
 
+  // ── CSV dialect ─────────────────────────────────────────────────────────────
+
+  /** Value formatter for the date, number, boolean and null settings. */
+  function valueFormatter() {
+    return createValueFormatter({
+      dateTimeFormat: settings.get('dateTimeFormat'),
+      dateFormat: settings.get('dateFormat'),
+      timeZone: settings.get('timeZone'),
+      booleanFormat: settings.get('booleanFormat'),
+      nullToken: settings.get('nullToken'),
+    });
+  }
+
+  /**
+   * The CSV dialect chosen in settings: delimiter, line ending, BOM, whether
+   * numbers use a decimal comma ("1234,5", as Excel expects in Germany,
+   * Brazil, …), the value formatter and whether a column-type row follows the
+   * header.  Builders read it once per file, so a settings change mid-export
+   * can't produce a mixed file.
+   */
+  function csvDialect() {
+    return {
+      delimiter: settings.get('csvDelimiter'),
+      eol: settings.get('csvLineEnding') === 'lf' ? '\n' : '\r\n',
+      decimalComma: settings.get('csvDecimalComma'),
+      typeRow: settings.get('csvTypeRow'),
+      format: valueFormatter(),
+    };
+  }
+
+  const PLAIN_DECIMAL_RE = /^-?\d+\.\d+$/;
+
+  /** "1234.5" / 1234.5 → "1234,5"; anything that isn't a plain decimal is unchanged. */
+  function toDecimalComma(val) {
+    const s = typeof val === 'number' ? String(val) : val;
+    return typeof s === 'string' && PLAIN_DECIMAL_RE.test(s) ? s.replace('.', ',') : val;
+  }
+
+  /**
+   * One CSV line in `dialect`.  With `kinds` (column value kinds) each value
+   * is formatted for its kind, and number columns get a decimal comma when the
+   * dialect asks for one; without, values are written as they are (headers).
+   */
+  function csvLine(values, dialect, kinds = null) {
+    const { delimiter, decimalComma, format } = dialect;
+    let line = '';
+    for (let i = 0; i < values.length; i++) {
+      let val = values[i];
+      if (kinds) {
+        val = format(val, kinds[i]);
+        if (decimalComma && kinds[i] === 'number') val = toDecimalComma(val);
+      }
+      line += (i > 0 ? delimiter : '') + escapeCell(val, delimiter);
+    }
+    return line;
+  }
+
+  /** The header line, followed by a line of column kinds when enabled. */
+  function csvHeaderLines(headers, kinds, dialect) {
+    const lines = [csvLine(headers, dialect)];
+    if (dialect.typeRow) lines.push(csvLine(headers.map((_, i) => kinds[i] ?? 'string'), dialect));
+    return lines;
+  }
+
   /** TSV cell escaping: replaces tabs and newlines with spaces so they don't
    *  break column/row boundaries when pasted into Google Sheets. */
   function escapeTsvCell(val) {
@@ -54,65 +184,185 @@ window.__SF_DC_CSV__ = (function () {
 
   // ── SOQL relationship flattening ────────────────────────────────────────────
 
+  /** A REST sub-select result: { totalSize, done, records: […] }. */
+  function isSubselect(v) {
+    return v !== null && typeof v === 'object' && Array.isArray(v.records);
+  }
+
+  /**
+   * A parent lookup (`Account`, `Account.Owner`, …): a nested record carrying
+   * its own `attributes`.  Compound fields such as addresses have none and
+   * stay whole.
+   */
+  function isParentRecord(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v) &&
+      v.attributes !== undefined && !isSubselect(v);
+  }
+
+  /**
+   * Merge the field layout of `records` into `shape`, a Map of field name →
+   * { parent: Map|null, children: Map|null } in first-seen order.  Parent
+   * lookups and sub-select records are merged recursively, across every
+   * record — a lookup that is null on the first rows still gets its columns,
+   * in the position where the field first appeared.
+   */
+  function mergeShape(shape, records) {
+    for (const record of records) {
+      for (const [key, value] of Object.entries(record)) {
+        if (key === 'attributes') continue;
+        let node = shape.get(key);
+        if (!node) {
+          node = { parent: null, children: null, label: null };
+          shape.set(key, node);
+        }
+        // The records win over a seeded guess (see seedShape)
+        if (isParentRecord(value)) {
+          node.parent ??= new Map();
+          node.children = null;
+          mergeShape(node.parent, [value]);
+        } else if (isSubselect(value)) {
+          node.children ??= new Map();
+          node.parent = null;
+          mergeShape(node.children, value.records);
+        }
+      }
+    }
+    return shape;
+  }
+
+  /**
+   * Whether the records disagree on their fields: a row, parent lookup or
+   * sub-select record lacking a field another one in the same place has, as
+   * TYPEOF queries and polymorphic lookups (`What`, `Owner`) return.  Null
+   * lookups and empty sub-selects don't count.  The columns are the union
+   * either way (see mergeShape); this is only to tell the user.
+   */
+  function soqlShapeVaries(records) {
+    const seen = new Map();   // place → its field names, sorted
+    const varies = (record, place) => {
+      const keys = Object.keys(record).filter((k) => k !== 'attributes');
+      const fields = keys.slice().sort().join('\n');
+      if ((seen.get(place) ?? fields) !== fields) return true;
+      seen.set(place, fields);
+      return keys.some((key) => {
+        const value = record[key];
+        if (isParentRecord(value)) return varies(value, `${place}.${key}`);
+        if (isSubselect(value)) return value.records.some((child) => varies(child, `${place}.${key}[]`));
+        return false;
+      });
+    };
+    return records.some((record) => varies(record, ''));
+  }
+
+  /**
+   * A shape (see mergeShape) seeded from the Developer Console's column
+   * metadata — the `columnMetadata` of its `columns=true` preflight — so
+   * columns follow the SELECT list, and fields that are null in every
+   * record still get a column.  Entries with join columns are sub-selects
+   * when flagged `aggregate`, parent lookups otherwise.  Unaliased aggregates
+   * (`expr0`) are labelled with their expression, e.g. `COUNT(Id)`.
+   */
+  function seedShape(columns) {
+    const shape = new Map();
+    for (const col of Array.isArray(columns) ? columns : []) {
+      if (typeof col?.columnName !== 'string') continue;
+      // Join columns are named relative to their lookup; drop any path prefix
+      const key = col.columnName.slice(col.columnName.lastIndexOf('.') + 1);
+      const joins = Array.isArray(col.joinColumns) ? col.joinColumns : [];
+      const node = { parent: null, children: null, label: null };
+      if (joins.length > 0 && col.aggregate) node.children = seedShape(joins);
+      else if (joins.length > 0) node.parent = seedShape(joins);
+      else if (/^expr\d+$/.test(key) && col.displayName) node.label = String(col.displayName);
+      shape.set(key, node);
+    }
+    return shape;
+  }
+
+  /**
+   * Leaf field paths of a shape, parent lookups flattened:
+   * [['Name'], ['Account', 'Owner', 'Name'], …].  Sub-selects nested below
+   * the top level are leaves (exported as JSON).
+   */
+  function shapePaths(shape, prefix = []) {
+    const paths = [];
+    for (const [key, node] of shape) {
+      const path = [...prefix, key];
+      if (node.parent) paths.push(...shapePaths(node.parent, path));
+      else paths.push(path);
+    }
+    return paths;
+  }
+
+  /** Value at a field path; null when any lookup along the way is null. */
+  function valueAt(record, path) {
+    let v = record;
+    for (const key of path) {
+      if (v == null) return null;
+      v = v[key];
+    }
+    return v ?? null;
+  }
+
   /**
    * Build an ordered list of column specs for a SOQL record set.
    *
-   * For top-level scalar fields this is trivial.  For sub-select relationship
-   * fields (e.g. `Contacts` → `{ records:[…], totalSize, done }`) we expand
-   * them into `Relationship.SubField` columns.  Multiple related records are
-   * joined with " | " in a single cell so the parent row count is preserved.
+   * Parent lookups are flattened recursively into dotted columns named like
+   * the SOQL field paths (`Account.Owner.Name`), dropping `attributes`.  For
+   * sub-select relationship fields (e.g. `Contacts` → `{ records:[…],
+   * totalSize, done }`) we expand them into `Relationship.SubField` columns —
+   * parent lookups inside the child records are flattened the same way
+   * (`Contacts.Owner.Name`).  Multiple related records are joined with " | "
+   * in a single cell so the parent row count is preserved.
    *
-   * Returns an array of { header: string, get: (record) => string }.
+   * `columns`, the preflight column metadata when it was captured, fixes the
+   * column order to the SELECT list and adds columns no record has a value
+   * for (see seedShape).
+   *
+   * Returns an array of { header: string, get: (record) => value }.  Scalar
+   * fields come back raw (number, boolean, string or null) so typed exporters
+   * can use them; everything else is already a string.
    */
-  function getSoqlColumnSpecs(records) {
+  function getSoqlColumnSpecs(records, columns = null) {
     if (records.length === 0) return [];
 
-    const topKeys = Object.keys(records[0]).filter((k) => k !== 'attributes');
+    const shape = mergeShape(seedShape(columns), records);
     const specs = [];
 
-    for (const key of topKeys) {
-      // Find the first non-null value to determine the field's type
-      let sample = null;
-      for (const r of records) {
-        if (r[key] != null) { sample = r[key]; break; }
-      }
-
-      if (sample !== null && typeof sample === 'object' && Array.isArray(sample.records)) {
-        // Sub-select: discover sub-columns from the first non-empty relationship
-        let subKeys = [];
-        for (const r of records) {
-          const rel = r[key];
-          if (rel?.records?.length > 0) {
-            subKeys = Object.keys(rel.records[0]).filter((k) => k !== 'attributes');
-            break;
-          }
-        }
-
-        if (subKeys.length === 0) {
+    for (const [key, node] of shape) {
+      if (node.children) {
+        const childPaths = shapePaths(node.children);
+        if (childPaths.length === 0) {
           // Empty sub-select across all rows — emit a single blank column
           specs.push({ header: key, get: () => '' });
-        } else {
-          for (const subKey of subKeys) {
-            specs.push({
-              header: `${key}.${subKey}`,
-              get: (r) => {
-                const rel = r[key];
-                if (!Array.isArray(rel?.records) || rel.records.length === 0) return '';
-                return rel.records
-                  .map((sub) => (sub[subKey] == null ? '' : String(sub[subKey])))
-                  .join(' | ');
-              },
-            });
-          }
+          continue;
         }
-      } else {
+        for (const path of childPaths) {
+          specs.push({
+            header: `${key}.${path.join('.')}`,
+            get: (r) => {
+              const rel = r[key];
+              if (!Array.isArray(rel?.records) || rel.records.length === 0) return '';
+              return rel.records
+                .map((sub) => {
+                  const v = valueAt(sub, path);
+                  if (v === null) return '';
+                  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+                })
+                .join(' | ');
+            },
+          });
+        }
+        continue;
+      }
+
+      for (const path of shapePaths(new Map([[key, node]]))) {
         specs.push({
-          header: key,
+          header: node.label ?? path.join('.'),
           get: (r) => {
-            const v = r[key];
-            if (v == null) return '';
+            const v = valueAt(r, path);
+            if (v === null) return null;
             if (typeof v === 'object') return JSON.stringify(v);
-            return String(v);
+            return v;
           },
         });
       }
@@ -121,14 +371,148 @@ window.__SF_DC_CSV__ = (function () {
     return specs;
   }
 
+  // ── SOQL sub-select export modes ────────────────────────────────────────────
+  //
+  // By default each sub-select is joined into one cell per parent (see
+  // getSoqlColumnSpecs).  Two alternatives reshape the records before the
+  // usual builders run:
+  //   – explode:  one row per child record of a chosen relationship;
+  //   – separate: parents and each relationship in their own file, linked by
+  //               the parent Id.
+
+  /** Top-level sub-select relationship names, in column order. */
+  function getSoqlSubselectNames(records) {
+    const names = [];
+    for (const [key, node] of mergeShape(new Map(), records)) {
+      if (node.children) names.push(key);
+    }
+    return names;
+  }
+
+  /**
+   * One record per child of `relationship`: the parent's fields repeated, the
+   * sub-select narrowed to that single child.  Parents without children are
+   * kept once.  Other sub-selects on the parent stay joined.
+   */
+  function explodeSoqlRecords(records, relationship) {
+    const out = [];
+    for (const record of records) {
+      const children = record[relationship]?.records;
+      if (!Array.isArray(children) || children.length === 0) {
+        out.push({ ...record, [relationship]: null });
+        continue;
+      }
+      for (const child of children) {
+        out.push({ ...record, [relationship]: { totalSize: 1, done: true, records: [child] } });
+      }
+    }
+    return out;
+  }
+
+  /** A record's Id: the Id field, or else the tail of attributes.url. */
+  function soqlRecordId(record) {
+    if (record.Id != null) return record.Id;
+    const url = record.attributes?.url;
+    return typeof url === 'string' ? url.slice(url.lastIndexOf('/') + 1) : null;
+  }
+
+  /**
+   * Split records into linked tables: the parents without their sub-selects
+   * (with an Id column added if the query didn't select one), then one table
+   * per relationship whose first column, `<ParentType>.Id`, points back at
+   * the parent.  Returns [{ name, records }].
+   */
+  function splitSoqlRelationships(records) {
+    const objectType = records[0]?.attributes?.type ?? 'soql';
+    const relationships = getSoqlSubselectNames(records);
+    const linkKey = `${objectType}.Id`;
+
+    const parents = records.map((record) => {
+      // The link needs the parent Id in the parent file too, selected or not
+      const copy = record.Id === undefined
+        ? { attributes: record.attributes, Id: soqlRecordId(record), ...record }
+        : { ...record };
+      for (const rel of relationships) delete copy[rel];
+      return copy;
+    });
+    const tables = [{ name: objectType, records: parents }];
+
+    for (const rel of relationships) {
+      const children = [];
+      for (const record of records) {
+        const parentId = soqlRecordId(record);
+        for (const child of record[rel]?.records ?? []) {
+          children.push({ [linkKey]: parentId, ...child });
+        }
+      }
+      tables.push({ name: `${objectType}.${rel}`, records: children });
+    }
+    return tables;
+  }
+
+  // ── SOSL search results ─────────────────────────────────────────────────────
+  //
+  // A SOSL FIND returns records of several sObject types in one list.  They
+  // are exported one file per type, or as one file with a leading
+  // sObjectType column.
+
+  /** SOSL records grouped by sObject type, in first-seen order: [{ name, records }]. */
+  function splitSoslTypes(records) {
+    const byType = new Map();
+    for (const record of records) {
+      const type = record.attributes?.type ?? 'unknown';
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(record);
+    }
+    return [...byType].map(([name, typeRecords]) => ({ name, records: typeRecords }));
+  }
+
+  /** SOSL records with their sObject type as a leading sObjectType field. */
+  function withSoslTypeColumn(records) {
+    return records.map(({ attributes, ...fields }) => ({
+      attributes,
+      sObjectType: attributes?.type ?? null,
+      ...fields,
+    }));
+  }
+
+  const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+  /**
+   * SOQL responses carry no column types, so infer each spec's value kind from
+   * the JSON values: a column is a number/boolean/date/datetime only when every
+   * non-null value agrees, otherwise it is a string.
+   */
+  function inferSoqlColumnTypes(specs, records) {
+    return specs.map((spec) => {
+      let kind = null;
+      for (const r of records) {
+        const v = spec.get(r);
+        if (v === null || v === undefined || v === '') continue;
+        let k;
+        if (typeof v === 'number') k = 'number';
+        else if (typeof v === 'boolean') k = 'boolean';
+        else if (ISO_DATE_RE.test(v)) k = 'date';
+        else if (ISO_DATETIME_RE.test(v)) k = 'datetime';
+        else k = 'string';
+        if (kind === null) kind = k;
+        else if (kind !== k) return 'string';
+      }
+      return kind ?? 'string';
+    });
+  }
+
   // ── DC (Aura) builders ──────────────────────────────────────────────────────
 
   /**
    * Build a CSV string from a DC Aura accumulator entry.
    * Each dataRow entry is { row: [val1, val2, …] }.
+   * `layout` picks, orders and renames columns (see content-columns.js).
    */
-  function buildCSV(acc) {
-    const columns = getColumnNames(acc.metadata);
+  function buildCSV(acc, { layout = null } = {}) {
+    const { headers: columns, kinds, values } = dcColumns(acc.metadata, layout);
+    const dialect = csvDialect();
     const lines = [];
 
     if (acc.dataRows.length > 0) {
@@ -138,25 +522,151 @@ window.__SF_DC_CSV__ = (function () {
     }
 
     if (columns.length > 0) {
-      lines.push(columns.map(escapeCell).join(','));
+      lines.push(...csvHeaderLines(columns, kinds, dialect));
     }
     for (const entry of acc.dataRows) {
-      const values = Array.isArray(entry?.row) ? entry.row : entry;
-      lines.push(values.map(escapeCell).join(','));
+      lines.push(csvLine(values(entry), dialect, kinds));
+    }
+    return lines.join(dialect.eol);
+  }
+
+  // ── Split CSV exports ───────────────────────────────────────────────────────
+  //
+  // A CSV export can be split into several files, each repeating the header:
+  //   – { maxRows }: a new file every maxRows rows (part-001, part-002, …);
+  //   – { column }:  one file per distinct value of that column, named after
+  //                  the value as written in the CSV.
+  // `column` is a header before any column layout is applied.  The files are
+  // delivered together as one .zip (see downloadCsvFiles).
+
+  // A column with more distinct values than this isn't worth a file each
+  const MAX_SPLIT_FILES = 1_000;
+
+  /**
+   * Assigns each row to a file: returns row → file key, a part number for
+   * maxRows splits, the formatted value for column splits, 0 unsplit.
+   * `valueOf` gives a row's value in the split column.  Throws once a column
+   * has more than MAX_SPLIT_FILES distinct values.
+   */
+  function createSplitter(split, valueOf) {
+    if (split?.maxRows) {
+      let rows = 0;
+      return () => Math.floor(rows++ / split.maxRows) + 1;
+    }
+    if (split?.column) {
+      const seen = new Set();
+      return (row) => {
+        const key = valueOf(row);
+        if (!seen.has(key)) {
+          if (seen.size >= MAX_SPLIT_FILES) {
+            throw new Error(`"${split.column}" has more than ${MAX_SPLIT_FILES.toLocaleString()} distinct values — split by rows instead`);
+          }
+          seen.add(key);
+        }
+        return key;
+      };
     }
-    return lines.join('\r\n');
+    return () => 0;
+  }
+
+  /** The split column's value of a row, formatted as in the CSV. */
+  function splitValueOf(specs, kinds, split, dialect) {
+    if (!split?.column) return null;
+    const i = specs.findIndex((s) => s.header === split.column);
+    if (i === -1) throw new Error(`There is no "${split.column}" column to split by`);
+    return (row) => dialect.format(specs[i].get(row), kinds[i]);
+  }
+
+  /**
+   * Incremental CSV writer for DC "Fetch all".
+   *
+   * Each page of dataRows is serialized as soon as it arrives and sealed into
+   * its own Blob part, after which the page's rows and text can be garbage
+   * collected — neither the raw rows nor the full CSV string are ever held on
+   * the JS heap.  (Chrome keeps Blob data outside the page heap and pages large
+   * Blobs to disk.)  The output is byte-identical to csvBom() + buildCSV.
+   * The dialect, BOM and split are fixed when the writer is created, so a
+   * settings change mid-fetch can't produce a mixed file.
+   *
+   * @param {Array|object} metadata - DC query metadata (column names and types)
+   * @param {object} [options]
+   * @param {object} [options.layout] - Column layout, as for buildCSV.
+   * @param {object} [options.split]  - { maxRows } or { column }, see
+   *        createSplitter; each file gets its own header and BOM.
+   */
+  function createCsvWriter(metadata, { layout = null, split = null } = {}) {
+    const { headers: columns, kinds, values } = dcColumns(metadata, layout);
+    const dialect = csvDialect();
+    const bom = csvBom();
+    const header = columns.length > 0 ? csvHeaderLines(columns, kinds, dialect).join(dialect.eol) : null;
+    const allSpecs = getDcColumnSpecs(metadata);
+    const fileOf = createSplitter(split, splitValueOf(allSpecs, allSpecs.map((s) => s.type), split, dialect));
+    const files = new Map();   // file key → { parts, rows, needsSeparator }
+    let rowCount = 0;
+    let byteLength = 0;
+
+    function push(file, text) {
+      const part = new Blob([text]);
+      file.parts.push(part);
+      byteLength += part.size;
+    }
+
+    function open(key) {
+      let file = files.get(key);
+      if (!file) {
+        file = { parts: [], rows: 0, needsSeparator: header !== null };
+        files.set(key, file);
+        if (bom) push(file, bom);
+        if (header !== null) push(file, header);
+      }
+      return file;
+    }
+
+    // A header-only file even without rows, except per value (no value yet).
+    // Keyed directly: calling fileOf would count a row that isn't there.
+    if (!split?.column) open(split?.maxRows ? 1 : 0);
+
+    return {
+      /** Serialize one page of DC dataRows ({ row: […] } or bare arrays). */
+      writeRows(dataRows) {
+        if (dataRows.length === 0) return;
+        const pending = new Map();   // file → its new lines
+        for (const entry of dataRows) {
+          const file = open(fileOf(entry));
+          if (!pending.has(file)) pending.set(file, []);
+          pending.get(file).push(csvLine(values(entry), dialect, kinds));
+        }
+        for (const [file, lines] of pending) {
+          push(file, (file.needsSeparator ? dialect.eol : '') + lines.join(dialect.eol));
+          file.needsSeparator = true;
+          file.rows += lines.length;
+        }
+        rowCount += dataRows.length;
+      },
+      get rowCount() { return rowCount; },
+      get byteLength() { return byteLength; },
+      /** The CSV so far, one { key, data: Blob, rows } per file (see downloadCsvFiles). */
+      toFiles() {
+        if (files.size === 0) open('');
+        return [...files].map(([key, file]) => ({
+          key,
+          data: new Blob(file.parts, { type: 'text/csv;charset=utf-8;' }),
+          rows: file.rows,
+        }));
+      },
+    };
   }
 
   /** TSV version of buildCSV — tab-separated, for clipboard → Google Sheets. */
-  function buildTSV(acc) {
-    const columns = getColumnNames(acc.metadata);
+  function buildTSV(acc, { layout = null } = {}) {
+    const { headers: columns, kinds, values } = dcColumns(acc.metadata, layout);
+    const format = valueFormatter();
     const lines = [];
     if (columns.length > 0) {
       lines.push(columns.map(escapeTsvCell).join('\t'));
     }
     for (const entry of acc.dataRows) {
-      const values = Array.isArray(entry?.row) ? entry.row : entry;
-      lines.push(values.map(escapeTsvCell).join('\t'));
+      lines.push(values(entry).map((v, i) => escapeTsvCell(format(v, kinds[i]))).join('\t'));
     }
     return lines.join('\n');
   }
@@ -169,44 +679,156 @@ window.__SF_DC_CSV__ = (function () {
    * Relationship sub-selects (e.g. Contacts, OpportunityLineItems) are
    * expanded into `Relationship.SubField` columns rather than being
    * JSON-stringified.  Multiple related records are joined with " | ".
+   * `layout` picks, orders and renames columns (see content-columns.js);
+   * `columns` is the preflight column metadata (see getSoqlColumnSpecs).
    */
-  function buildCSVFromSoqlRecords(records) {
+  function buildCSVFromSoqlRecords(records, { layout = null, columns = null } = {}) {
     if (records.length === 0) return '';
-    const specs = getSoqlColumnSpecs(records);
+    const specs = columnLayouts.applyLayout(getSoqlColumnSpecs(records, columns), layout);
 
     console.debug('[SF DC CSV Exporter] SOQL columns:', specs.map((s) => s.header));
     console.debug('[SF DC CSV Exporter] SOQL records[0]:', JSON.stringify(records[0]));
 
-    const lines = [specs.map((s) => escapeCell(s.header)).join(',')];
+    const dialect = csvDialect();
+    return soqlCsvText(records, specs, inferSoqlColumnTypes(specs, records), dialect);
+  }
+
+  /** CSV text of `records` with the columns and kinds already decided. */
+  function soqlCsvText(records, specs, kinds, dialect) {
+    const lines = csvHeaderLines(specs.map((s) => s.header), kinds, dialect);
     for (const record of records) {
-      lines.push(specs.map((s) => escapeCell(s.get(record))).join(','));
+      lines.push(csvLine(specs.map((s) => s.get(record)), dialect, kinds));
     }
-    return lines.join('\r\n');
+    return lines.join(dialect.eol);
+  }
+
+  /**
+   * buildCSVFromSoqlRecords split into files (see createSplitter), with the
+   * columns and their kinds decided from all the records so every file has
+   * the same header.  Returns [{ key, data: Blob, rows }] (see
+   * downloadCsvFiles).
+   */
+  function soqlCsvFiles(records, { layout = null, columns = null, split = null } = {}) {
+    const allSpecs = getSoqlColumnSpecs(records, columns);
+    const specs = columnLayouts.applyLayout(allSpecs, layout);
+    const kinds = inferSoqlColumnTypes(specs, records);
+    const dialect = csvDialect();
+    const fileOf = createSplitter(split, splitValueOf(allSpecs, inferSoqlColumnTypes(allSpecs, records), split, dialect));
+
+    const groups = new Map();   // file key → records
+    for (const record of records) {
+      const key = fileOf(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+    if (groups.size === 0) groups.set(split?.column ? '' : fileOf(), []);
+
+    return [...groups].map(([key, group]) => ({
+      key,
+      data: new Blob([csvBom() + soqlCsvText(group, specs, kinds, dialect)], { type: 'text/csv;charset=utf-8;' }),
+      rows: group.length,
+    }));
   }
 
   /** TSV version of buildCSVFromSoqlRecords — for clipboard → Google Sheets. */
-  function buildTSVFromSoqlRecords(records) {
+  function buildTSVFromSoqlRecords(records, { layout = null, columns = null } = {}) {
     if (records.length === 0) return '';
-    const specs = getSoqlColumnSpecs(records);
+    const specs = columnLayouts.applyLayout(getSoqlColumnSpecs(records, columns), layout);
+    const kinds = inferSoqlColumnTypes(specs, records);
+    const format = valueFormatter();
     const lines = [specs.map((s) => escapeTsvCell(s.header)).join('\t')];
     for (const record of records) {
-      lines.push(specs.map((s) => escapeTsvCell(s.get(record))).join('\t'));
+      lines.push(specs.map((s, i) => escapeTsvCell(format(s.get(record), kinds[i]))).join('\t'));
     }
     return lines.join('\n');
   }
 
+  // ── JSON / NDJSON builders ──────────────────────────────────────────────────
+
+  /**
+   * DC rows as plain objects keyed by column name (metadata order, or the
+   * layout's).  Values are passed through untouched, so numbers stay numbers.
+   */
+  function dcRowObjects(acc, layout = null) {
+    const { headers: columns, values } = dcColumns(acc.metadata, layout);
+    return acc.dataRows.map((entry) => {
+      const row = values(entry);
+      const obj = {};
+      columns.forEach((col, i) => { obj[col] = row?.[i] ?? null; });
+      return obj;
+    });
+  }
+
+  /**
+   * Deep-copy a SOQL record without the REST `attributes` blocks, keeping
+   * parent lookups as nested objects and sub-selects as
+   * { totalSize, done, records: […] }.
+   */
+  function stripSoqlAttributes(value) {
+    if (Array.isArray(value)) return value.map(stripSoqlAttributes);
+    if (value === null || typeof value !== 'object') return value;
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (k !== 'attributes') out[k] = stripSoqlAttributes(v);
+    }
+    return out;
+  }
+
+  /**
+   * SOQL records for the JSON formats.  With a column layout each record
+   * becomes a flat object keyed by the chosen headers, like a CSV row, since
+   * picking and renaming columns has no meaning for the nested shape.
+   */
+  function soqlJsonRecords(records, stripAttributes, layout = null, columns = null) {
+    if (layout) {
+      const specs = columnLayouts.applyLayout(getSoqlColumnSpecs(records, columns), layout);
+      return records.map((r) => {
+        const obj = {};
+        for (const s of specs) obj[s.header] = s.get(r) ?? null;
+        return obj;
+      });
+    }
+    return stripAttributes ? records.map(stripSoqlAttributes) : records;
+  }
+
+  /** JSON array of row objects for a DC accumulator. */
+  function buildJSON(acc, { layout = null } = {}) {
+    return JSON.stringify(dcRowObjects(acc, layout), null, 2);
+  }
+
+  /** Newline-delimited JSON (one row object per line) for a DC accumulator. */
+  function buildNDJSON(acc, { layout = null } = {}) {
+    return dcRowObjects(acc, layout).map((obj) => JSON.stringify(obj)).join('\n') + '\n';
+  }
+
+  /** JSON array of SOQL records, nested relationships preserved (flat with a layout). */
+  function buildJSONFromSoqlRecords(records, { stripAttributes = true, layout = null, columns = null } = {}) {
+    return JSON.stringify(soqlJsonRecords(records, stripAttributes, layout, columns), null, 2);
+  }
+
+  /** Newline-delimited JSON of SOQL records, one record per line. */
+  function buildNDJSONFromSoqlRecords(records, { stripAttributes = true, layout = null, columns = null } = {}) {
+    return soqlJsonRecords(records, stripAttributes, layout, columns)
+      .map((r) => JSON.stringify(r))
+      .join('\n') + '\n';
+  }
+
   // ── Download triggers ───────────────────────────────────────────────────────
 
-  function triggerDownload(acc) {
-    const csv = buildCSV(acc);
-    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+  const JSON_MIME = 'application/json;charset=utf-8;';
+  const NDJSON_MIME = 'application/x-ndjson;charset=utf-8;';
+
+  /** UTF-8 byte-order mark when enabled in settings (helps Excel), else ''. */
+  function csvBom() {
+    return settings.get('csvBom') ? '\uFEFF' : '';
+  }
+
+  function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
     a.href = url;
-    const ts = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-    const shortId = acc.queryId ? String(acc.queryId).slice(-8) : 'query';
-    a.download = `dc-query-${shortId}-${ts}.csv`;
+    a.download = filename;
     a.style.display = 'none';
 
     document.body.appendChild(a);
@@ -214,31 +836,323 @@ window.__SF_DC_CSV__ = (function () {
     setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 200);
   }
 
-  function triggerSoqlDownload(records) {
-    const csv = buildCSVFromSoqlRecords(records);
-    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
+  /**
+   * Download several export files as one deflated .zip, since a click can
+   * only start one download.  A manifest.json lists each file with its row
+   * count; the query goes along as `queryFile` (query.sql / query.soql)
+   * unless turned off in the options.
+   *
+   * @param {Array<{ name: string, data: Blob|string, rows: number }>} files
+   * @param {string} base - Archive name without extension.
+   * @param {object} [options]
+   * @param {string} [options.query]     - Query text, for the manifest too.
+   * @param {string} [options.queryFile] - Its file name in the archive.
+   * @returns {Promise<void>}
+   */
+  async function downloadZip(files, base, { query, queryFile } = {}) {
+    const entries = files.map(({ name, data }) => ({ name, data }));
+    const manifest = {
+      exportedAt: new Date().toISOString(),
+      query: query ?? null,
+      files: files.map(({ name, rows }) => ({ name, rows })),
+      totalRows: files.reduce((n, f) => n + f.rows, 0),
+    };
+    entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' });
+    if (query && queryFile && settings.get('zipQueryFile')) {
+      entries.push({ name: queryFile, data: query.endsWith('\n') ? query : query + '\n' });
+    }
+    downloadBlob(await window.__SF_DC_ZIP__.buildZip(entries, { deflate: true }), `${base}.zip`);
+  }
 
-    const a = document.createElement('a');
-    a.href = url;
-    const ts = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-    const objectType = (records[0]?.attributes?.type ?? 'soql').toLowerCase();
-    a.download = `${objectType}-query-${ts}.csv`;
-    a.style.display = 'none';
+  /**
+   * Download split CSV files ([{ key, data, rows }] from createCsvWriter or
+   * soqlCsvFiles): a single file as `<base>.csv`, several as a .zip of
+   * `<base>-part-001.csv`, … or `<base>-<value>.csv`, … (see downloadZip).
+   */
+  async function downloadCsvFiles(files, base, { query, queryFile } = {}) {
+    if (files.length === 1) {
+      downloadBlob(files[0].data, `${base}.csv`);
+      return;
+    }
+    const used = new Set();
+    const named = files.map((file) => {
+      const stem = typeof file.key === 'number'
+        ? `${base}-part-${String(file.key).padStart(3, '0')}`
+        : `${base}-${sanitizeFilename(file.key === '' ? 'blank' : file.key)}`;
+      // Values that differ only in characters a file name can't hold
+      let name = stem;
+      for (let n = 2; used.has(name.toLowerCase()); n++) name = `${stem}-${n}`;
+      used.add(name.toLowerCase());
+      return { ...file, name: `${name}.csv` };
+    });
+    await downloadZip(named, base, { query, queryFile });
+  }
 
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => { document.body.removeChild(a); URL.revokeObjectURL(url); }, 200);
+  function dcShortId(acc) {
+    return acc.queryId ? String(acc.queryId).slice(-8) : 'query';
+  }
+
+  /**
+   * File name (without extension) from a settings template.  An optional
+   * `label` (e.g. "partial-150000-of-3000000") is appended so incomplete
+   * exports can't be mistaken for full ones.
+   */
+  function fileBase(templateKey, context, label) {
+    const base = renderFilename(settings.get(templateKey), context, {
+      timestampFormat: settings.get('timestampFormat'),
+    });
+    return label ? `${base}-${label}` : base;
+  }
+
+  /** DC file name; `rows` defaults to the accumulator's captured rows. */
+  function dcFileBase(acc, { rows = acc.dataRows?.length, label } = {}) {
+    const table = extractTableName(acc.auraInfo?.sql);
+    return fileBase('dcFilenameTemplate', {
+      object: table,
+      table,
+      dataspace: acc.auraInfo?.dataspace,
+      rows,
+      queryId: acc.queryId,
+    }, label);
+  }
+
+  /** SOQL file name; `query` (when known) fills {table}. */
+  function soqlFileBase(objectType, { rows, query, label } = {}) {
+    return fileBase('soqlFilenameTemplate', {
+      object: objectType ?? 'soql',
+      table: extractTableName(query),
+      rows,
+    }, label);
+  }
+
+  /**
+   * Download already-built DC CSV files, i.e. createCsvWriter().toFiles().
+   * Pass `rows` for the {rows} token, since the files' rows aren't in `acc`.
+   * @returns {Promise<void>} resolves once the download has been triggered
+   */
+  function triggerCsvFilesDownload(acc, files, { rows, label } = {}) {
+    return downloadCsvFiles(files, dcFileBase(acc, { rows, label }), {
+      query: acc.auraInfo?.sql,
+      queryFile: 'query.sql',
+    });
+  }
+
+  /**
+   * Download an already-built SOQL CSV Blob (e.g. a Bulk API 2.0 export),
+   * named from the SOQL template like triggerSoqlDownload's output.
+   */
+  function triggerSoqlCsvBlobDownload(objectType, blob, { rows, query, label } = {}) {
+    downloadBlob(blob, `${soqlFileBase(objectType, { rows, query, label })}.csv`);
+  }
+
+  /**
+   * Download a DC accumulator.
+   *
+   * @param {object} acc
+   * @param {object} [options]
+   * @param {'csv'|'xlsx'|'json'|'ndjson'} [options.format='csv']
+   * @param {string}  [options.label] - Appended to the filename.
+   * @param {object}  [options.layout] - Column layout; defaults to the one
+   *        saved for the query's table.
+   * @param {object}  [options.split] - Split a CSV into files, see
+   *        createSplitter.
+   * @returns {Promise<void>} resolves once the download has been triggered
+   */
+  async function triggerDownload(acc, {
+    format = 'csv',
+    label,
+    layout = columnLayouts.load(columnLayouts.dcScope(acc.auraInfo?.sql)),
+    split = null,
+  } = {}) {
+    const shortId = dcShortId(acc);
+    const base = dcFileBase(acc, { label });
+
+    if (format === 'xlsx') {
+      const { specs } = dcColumns(acc.metadata, layout);
+      const blob = await window.__SF_DC_XLSX__.buildXlsx({
+        columns: specs,
+        rows: acc.dataRows.map((entry) => specs.map((s) => s.get(entry))),
+        sheetName: shortId,
+        timeZone: settings.get('timeZone'),
+      });
+      downloadBlob(blob, `${base}.xlsx`);
+      return;
+    }
+    if (format === 'json') {
+      downloadBlob(new Blob([buildJSON(acc, { layout })], { type: JSON_MIME }), `${base}.json`);
+      return;
+    }
+    if (format === 'ndjson') {
+      downloadBlob(new Blob([buildNDJSON(acc, { layout })], { type: NDJSON_MIME }), `${base}.ndjson`);
+      return;
+    }
+
+    if (split) {
+      const writer = createCsvWriter(acc.metadata, { layout, split });
+      writer.writeRows(acc.dataRows);
+      await downloadCsvFiles(writer.toFiles(), base, { query: acc.auraInfo?.sql, queryFile: 'query.sql' });
+      return;
+    }
+
+    const csv = buildCSV(acc, { layout });
+    downloadBlob(new Blob([csvBom() + csv], { type: 'text/csv;charset=utf-8;' }), `${base}.csv`);
+  }
+
+  /** Serialize SOQL records as a single file; returns { blob, ext }. */
+  async function soqlFileBlob(records, format, { stripAttributes, sheetName, layout = null, columns = null }) {
+    if (format === 'xlsx') {
+      const specs = columnLayouts.applyLayout(getSoqlColumnSpecs(records, columns), layout);
+      const types = inferSoqlColumnTypes(specs, records);
+      const blob = await window.__SF_DC_XLSX__.buildXlsx({
+        columns: specs.map((s, i) => ({ header: s.header, type: types[i] })),
+        rows: records.map((r) => specs.map((s) => s.get(r))),
+        sheetName,
+        timeZone: settings.get('timeZone'),
+      });
+      return { blob, ext: 'xlsx' };
+    }
+    if (format === 'json') {
+      const json = buildJSONFromSoqlRecords(records, { stripAttributes, layout, columns });
+      return { blob: new Blob([json], { type: JSON_MIME }), ext: 'json' };
+    }
+    if (format === 'ndjson') {
+      const ndjson = buildNDJSONFromSoqlRecords(records, { stripAttributes, layout, columns });
+      return { blob: new Blob([ndjson], { type: NDJSON_MIME }), ext: 'ndjson' };
+    }
+    const csv = buildCSVFromSoqlRecords(records, { layout, columns });
+    return { blob: new Blob([csvBom() + csv], { type: 'text/csv;charset=utf-8;' }), ext: 'csv' };
+  }
+
+  /**
+   * Download REST SOQL records.
+   *
+   * @param {Array}  records
+   * @param {object} [options]
+   * @param {'csv'|'xlsx'|'json'|'ndjson'} [options.format='csv']
+   * @param {boolean} [options.stripAttributes] - JSON formats only: drop
+   *        the REST `attributes` blocks from every (nested) record.  Defaults
+   *        to the jsonStripAttributes setting.
+   * @param {'join'|'explode'|'separate'} [options.subselects='join'] - CSV and
+   *        XLSX only: how sub-selects are laid out.  'explode' writes one row
+   *        per child of `options.relationship`; 'separate' downloads a ZIP
+   *        with the parents and each relationship in linked files.
+   * @param {string}  [options.relationship] - Sub-select to explode.
+   * @param {string}  [options.label] - Appended to the filename, e.g.
+   *        "partial-4000-of-90000" for a cancelled Fetch all.
+   * @param {string}  [options.query] - SOQL text, for the {table} filename token.
+   * @param {object}  [options.layout] - Column layout; defaults to the one
+   *        saved for the records' object type.  In 'separate' mode it applies
+   *        to the parent file only.
+   * @param {Array}   [options.columns] - Preflight column metadata, see
+   *        getSoqlColumnSpecs.  In 'separate' mode it applies to the parent
+   *        file only, without the sub-selects.
+   * @param {string}  [options.searchTypes] - For SOSL results mixing sObject
+   *        types: 'separate' for one file per type (.zip, each with its
+   *        type's saved layout) or 'column' for one file with an sObjectType
+   *        column.  Records of a single type export as usual.
+   * @param {object}  [options.split] - Split a CSV into files, see
+   *        createSplitter.  Not applied to 'separate' files.
+   * @returns {Promise<void>} resolves once the download has been triggered
+   */
+  async function triggerSoqlDownload(records, {
+    format = 'csv',
+    stripAttributes = settings.get('jsonStripAttributes'),
+    subselects = 'join',
+    relationship,
+    label,
+    query,
+    layout = columnLayouts.load(columnLayouts.soqlScope(records[0]?.attributes?.type)),
+    columns = null,
+    searchTypes = null,
+    split = null,
+  } = {}) {
+    const types = searchTypes ? splitSoslTypes(records) : [];
+    if (types.length > 1 && searchTypes === 'separate') {
+      const files = [];
+      for (const table of types) {
+        const { blob, ext } = await soqlFileBlob(table.records, format, {
+          stripAttributes,
+          sheetName: table.name,
+          layout: columnLayouts.load(columnLayouts.soqlScope(table.name)),
+        });
+        files.push({ name: `${sanitizeFilename(table.name)}.${ext}`, data: blob, rows: table.records.length });
+      }
+      const base = soqlFileBase('search', { rows: records.length, query, label });
+      await downloadZip(files, base, { query, queryFile: 'query.sosl' });
+      return;
+    }
+    if (types.length > 1) {
+      // One file for every type: no single type's layout fits it
+      const rows = withSoslTypeColumn(records);
+      const base = soqlFileBase('search', { rows: records.length, query, label });
+      if (format === 'csv' && split) {
+        await downloadCsvFiles(soqlCsvFiles(rows, { split }), base, { query, queryFile: 'query.sosl' });
+        return;
+      }
+      const { blob, ext } = await soqlFileBlob(rows, format, { stripAttributes, sheetName: 'search' });
+      downloadBlob(blob, `${base}.${ext}`);
+      return;
+    }
+
+    const objectType = records[0]?.attributes?.type ?? 'soql';
+    const flat = format === 'csv' || format === 'xlsx';
+
+    if (flat && subselects === 'separate') {
+      const files = [];
+      const relationships = getSoqlSubselectNames(records);
+      // The parent file has no sub-selects, and always starts with an Id
+      const parentColumns = columns && [
+        ...(records[0]?.Id === undefined ? [{ columnName: 'Id' }] : []),
+        ...columns.filter((c) => !relationships.includes(c?.columnName) && !(c?.aggregate && c?.joinColumns?.length)),
+      ];
+      for (const [i, table] of splitSoqlRelationships(records).entries()) {
+        const { blob, ext } = await soqlFileBlob(table.records, format, {
+          sheetName: table.name,
+          layout: i === 0 ? layout : null,
+          columns: i === 0 ? parentColumns : null,
+        });
+        files.push({ name: `${sanitizeFilename(table.name)}.${ext}`, data: blob, rows: table.records.length });
+      }
+      const base = soqlFileBase(objectType, { rows: records.length, query, label });
+      await downloadZip(files, base, { query, queryFile: 'query.soql' });
+      return;
+    }
+
+    const rows = flat && subselects === 'explode' && relationship
+      ? explodeSoqlRecords(records, relationship)
+      : records;
+    const base = soqlFileBase(objectType, { rows: rows.length, query, label });
+    if (format === 'csv' && split) {
+      const queryFile = searchTypes ? 'query.sosl' : 'query.soql';
+      await downloadCsvFiles(soqlCsvFiles(rows, { layout, columns, split }), base, { query, queryFile });
+      return;
+    }
+    const { blob, ext } = await soqlFileBlob(rows, format, { stripAttributes, sheetName: objectType, layout, columns });
+    downloadBlob(blob, `${base}.${ext}`);
   }
 
   return {
     getColumnNames,
+    getDcColumnSpecs,
+    getSoqlColumnSpecs,
+    getSoqlSubselectNames,
+    soqlShapeVaries,
+    explodeSoqlRecords,
+    splitSoslTypes,
+    withSoslTypeColumn,
     escapeCell,
     buildCSV,
+    createCsvWriter,
     buildTSV,
     buildCSVFromSoqlRecords,
     buildTSVFromSoqlRecords,
+    buildJSON,
+    buildNDJSON,
+    buildJSONFromSoqlRecords,
+    buildNDJSONFromSoqlRecords,
     triggerDownload,
+    triggerCsvFilesDownload,
     triggerSoqlDownload,
+    triggerSoqlCsvBlobDownload,
   };
 })();
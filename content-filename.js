@@ -0,0 +1,124 @@
+/**
+ * content-filename.js — Download filename templates for SF Query Editor Helper.
+ *
+ * Loaded before content-csv.js in the MAIN "world"; options.html loads it too
+ * for the live preview.  Exposes window.__SF_DC_FILENAME__.
+ *
+ * A template is plain text with {token} placeholders, optionally followed by
+ * a case modifier: {object|lower}, {org|upper}.  Tokens:
+ *
+ *   {host}       page host name              acme--uat.sandbox.my.salesforce.com
+ *   {org}        org part of the host         acme
+ *   {sandbox}    sandbox name ('' in prod)    uat
+ *   {object}     SOQL object, or DC table     Account
+ *   {table}      table from the FROM clause   ssot__Individual__dlm
+ *   {dataspace}  DC dataspace                 default
+ *   {rows}       rows in this export          1234
+ *   {queryId}    DC query id                  (full id)
+ *   {shortId}    last 8 chars of the query id (or "query")
+ *   {timestamp}  export time, in the configured format (UTC)
+ *
+ * Unknown tokens are left as written so typos show up in the file name.
+ * Tokens with no value become empty; the separators around them collapse.
+ */
+window.__SF_DC_FILENAME__ = (function () {
+  'use strict';
+
+  const MAX_LENGTH = 150;  // leaves room for labels and the extension
+  const EMPTY = '\u0000';  // marks a token with no value while rendering
+
+  /**
+   * Best-effort table name from a SQL/SOQL statement's first FROM clause.
+   * Quoted identifiers are unwrapped.
+   */
+  function extractTableName(sql) {
+    if (typeof sql !== 'string') return null;
+    const m = sql.match(/\bFROM\s+("[^"]+"|[A-Za-z0-9_.]+)/i);
+    return m ? m[1].replace(/"/g, '') : null;
+  }
+
+  /** "acme--uat.sandbox.my.salesforce.com" → { org: 'acme', sandbox: 'uat' } */
+  function hostParts(hostname) {
+    const [org, sandbox = ''] = String(hostname).split('.')[0].split('--');
+    return { org, sandbox };
+  }
+
+  /** Format a date with YYYY MM DD HH mm ss placeholders (UTC). */
+  function formatTimestamp(date, pattern) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = {
+      YYYY: String(date.getUTCFullYear()),
+      MM: pad(date.getUTCMonth() + 1),
+      DD: pad(date.getUTCDate()),
+      HH: pad(date.getUTCHours()),
+      mm: pad(date.getUTCMinutes()),
+      ss: pad(date.getUTCSeconds()),
+    };
+    return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, (p) => parts[p]);
+  }
+
+  /**
+   * Make a string safe as a download name on Windows, macOS and Linux:
+   * reserved characters become "_" and leading/trailing separators and dots
+   * are trimmed.
+   */
+  function sanitizeFilename(name) {
+    const clean = String(name)
+      .replace(/[\\/:*?"<>|\u0000-\u001F\u007F]/g, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[-_. ]+|[-_. ]+$/g, '')
+      .slice(0, MAX_LENGTH)
+      .replace(/[-_. ]+$/, '');
+    return clean || 'export';
+  }
+
+  /**
+   * Render a filename template (without extension).
+   *
+   * @param {string} template
+   * @param {object} context - { object, table, dataspace, rows, queryId }
+   * @param {object} options
+   * @param {string} options.timestampFormat
+   * @param {string} [options.host] - Defaults to the page host.
+   * @param {Date}   [options.now]
+   * @returns {string}
+   */
+  function renderFilename(template, context, {
+    timestampFormat,
+    host = window.location.hostname,
+    now = new Date(),
+  }) {
+    const { org, sandbox } = hostParts(host);
+    const queryId = context.queryId ? String(context.queryId) : '';
+    const values = {
+      host,
+      org,
+      sandbox,
+      object: context.object ?? context.table ?? '',
+      table: context.table ?? '',
+      dataspace: context.dataspace ?? '',
+      rows: context.rows ?? '',
+      queryId,
+      shortId: queryId ? queryId.slice(-8) : 'query',
+      timestamp: formatTimestamp(now, timestampFormat),
+    };
+
+    const rendered = template.replace(/\{(\w+)(?:\|(lower|upper))?\}/g, (whole, token, modifier) => {
+      if (!(token in values)) return whole;
+      const value = String(values[token]);
+      if (value === '') return EMPTY;
+      if (modifier === 'lower') return value.toLowerCase();
+      if (modifier === 'upper') return value.toUpperCase();
+      return value;
+    });
+    // Drop empty tokens with the separators on one side ("a-{sandbox}-b" → "a-b");
+    // "__" inside values such as ssot__Id__c is left alone.
+    const collapsed = rendered.replace(
+      /([-_. ]*)\u0000(?:[-_. ]*\u0000)*([-_. ]*)/g,
+      (_, before, after) => before || after
+    );
+    return sanitizeFilename(collapsed);
+  }
+
+  return { renderFilename, sanitizeFilename, formatTimestamp, extractTableName };
+})();
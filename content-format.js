@@ -0,0 +1,194 @@
+/**
+ * content-format.js — Type-aware value formatting for SF Query Editor Helper.
+ *
+ * Loaded before content-xlsx.js and content-csv.js in the MAIN "world";
+ * options.html loads it too for the date preview.  Exposes
+ * window.__SF_DC_FORMAT__.
+ *
+ * Text exports (CSV, clipboard copy) format each value for its column kind
+ * ('number' | 'boolean' | 'date' | 'datetime' | 'string'):
+ *
+ *   – datetimes — epoch milliseconds or ISO 8601 strings — are written with
+ *     a date-time pattern in a chosen time zone;
+ *   – dates are written with a date pattern, never shifted by time zone;
+ *   – numbers are written in plain decimal notation: no "1.5e+21", and
+ *     binary float noise such as 0.30000000000000004 is rounded away;
+ *   – booleans are normalized to one spelling (true/false, TRUE/FALSE, 1/0,
+ *     yes/no);
+ *   – null and missing values are written as a chosen token ('' by default).
+ *
+ * Pattern tokens: YYYY MM DD HH mm ss SSS, and Z for the UTC offset ("Z" in
+ * UTC, "+02:00" elsewhere).  Everything else is copied literally.
+ */
+window.__SF_DC_FORMAT__ = (function () {
+  'use strict';
+
+  const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const ISO_DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+  const EPOCH_STRING_RE = /^-?\d{9,}$/;
+  const EXPONENT_RE = /^([-+]?)(\d*)\.?(\d*)[eE]([-+]?\d+)$/;
+
+  const BOOLEANS = {
+    'true-false': ['true', 'false'],
+    'TRUE-FALSE': ['TRUE', 'FALSE'],
+    '1-0': ['1', '0'],
+    'yes-no': ['yes', 'no'],
+  };
+
+  /**
+   * Parse a date/datetime value into epoch milliseconds.  Numbers (and long
+   * digit strings) are epoch milliseconds; ISO strings without an offset are
+   * taken as UTC.  Returns null for anything else.
+   */
+  function parseDateValue(val) {
+    if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+    const s = String(val).trim();
+    if (EPOCH_STRING_RE.test(s)) return Number(s);
+    if (ISO_DATE_RE.test(s)) return Date.parse(s + 'T00:00:00Z');
+    if (ISO_DATETIME_RE.test(s)) {
+      // Normalize "+0000" offsets (Salesforce REST) to "+00:00" for Date.parse
+      let iso = s.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+      if (!/(Z|[+-]\d{2}:\d{2})$/.test(iso)) iso += 'Z';
+      const ms = Date.parse(iso);
+      return Number.isNaN(ms) ? null : ms;
+    }
+    return null;
+  }
+
+  // Intl formatters are slow to build; one per time zone is plenty
+  const zoneFormatters = new Map();
+
+  function zoneFormatter(timeZone) {
+    let fmt = zoneFormatters.get(timeZone);
+    if (!fmt) {
+      fmt = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone === 'local' ? undefined : timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+      });
+      zoneFormatters.set(timeZone, fmt);
+    }
+    return fmt;
+  }
+
+  /**
+   * Offset of `timeZone` from UTC at instant `ms`, in milliseconds
+   * (+7_200_000 for Europe/Berlin in summer).  'UTC' and 'local' are
+   * accepted besides IANA names.
+   */
+  function timeZoneOffsetMs(ms, timeZone) {
+    if (timeZone === 'UTC') return 0;
+    const p = {};
+    for (const { type, value } of zoneFormatter(timeZone).formatToParts(new Date(ms))) p[type] = value;
+    const wall = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return wall - (ms - (((ms % 1000) + 1000) % 1000));
+  }
+
+  /** Fill a YYYY MM DD HH mm ss SSS Z pattern from a wall-clock epoch value. */
+  function fillPattern(pattern, wallMs, offsetMs) {
+    const d = new Date(wallMs);
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    const offsetMin = Math.round(offsetMs / 60_000);
+    const parts = {
+      YYYY: pad(d.getUTCFullYear(), 4),
+      MM: pad(d.getUTCMonth() + 1),
+      DD: pad(d.getUTCDate()),
+      HH: pad(d.getUTCHours()),
+      mm: pad(d.getUTCMinutes()),
+      ss: pad(d.getUTCSeconds()),
+      SSS: pad(d.getUTCMilliseconds(), 3),
+      Z: offsetMin === 0
+        ? 'Z'
+        : (offsetMin > 0 ? '+' : '-') + pad(Math.floor(Math.abs(offsetMin) / 60)) + ':' + pad(Math.abs(offsetMin) % 60),
+    };
+    return pattern.replace(/YYYY|SSS|MM|DD|HH|mm|ss|Z/g, (t) => parts[t]);
+  }
+
+  /** "1.5e+21" → "1500000000000000000000", "-2.5E-7" → "-0.00000025". */
+  function expandExponent(s) {
+    const m = EXPONENT_RE.exec(s);
+    if (!m || m[2] + m[3] === '') return s;
+    const [, sign, int, frac, exp] = m;
+    const digits = int + frac;
+    const point = int.length + Number(exp);
+    let out;
+    if (point <= 0) out = '0.' + '0'.repeat(-point) + digits;
+    else if (point >= digits.length) out = digits + '0'.repeat(point - digits.length);
+    else out = digits.slice(0, point) + '.' + digits.slice(point);
+    out = out.replace(/^0+(?=\d)/, '');
+    if (out.includes('.')) out = out.replace(/\.?0+$/, '');
+    return (sign === '-' && /[1-9]/.test(out) ? '-' : '') + out;
+  }
+
+  /**
+   * A number in plain decimal notation.  JS numbers lose binary float noise
+   * (15 significant digits); numeric strings are kept exactly as sent, so
+   * decimals beyond double precision survive, unless they use an exponent.
+   */
+  function plainNumber(val) {
+    if (typeof val === 'number') {
+      if (!Number.isFinite(val)) return String(val);
+      const n = Number.isInteger(val) ? val : Number(val.toPrecision(15));
+      return expandExponent(String(n));
+    }
+    return typeof val === 'string' ? expandExponent(val.trim()) : val;
+  }
+
+  /**
+   * Build a formatter for the given options.  The returned function maps a
+   * value and its column kind to the text to write; values it can't read as
+   * their kind (a non-date in a date column, …) are written as they are.
+   *
+   * @param {object} options
+   * @param {string} options.dateTimeFormat - Pattern for datetime columns.
+   * @param {string} options.dateFormat     - Pattern for date columns.
+   * @param {string} options.timeZone       - 'UTC', 'local' or an IANA name.
+   * @param {string} options.booleanFormat  - A key of BOOLEANS.
+   * @param {string} options.nullToken      - Written for null / undefined.
+   * @returns {(value: *, kind?: string) => string}
+   */
+  function createValueFormatter({ dateTimeFormat, dateFormat, timeZone, booleanFormat, nullToken }) {
+    const [yes, no] = BOOLEANS[booleanFormat] ?? BOOLEANS['true-false'];
+
+    function formatBoolean(val) {
+      const s = String(val).toLowerCase();
+      if (val === true || s === 'true' || s === '1') return yes;
+      if (val === false || s === 'false' || s === '0') return no;
+      return String(val);
+    }
+
+    return function format(val, kind) {
+      if (val === null || val === undefined) return nullToken;
+      switch (kind) {
+        case 'datetime': {
+          const ms = parseDateValue(val);
+          if (ms === null) return String(val);
+          const offset = timeZoneOffsetMs(ms, timeZone);
+          return fillPattern(dateTimeFormat, ms + offset, offset);
+        }
+        case 'date': {
+          // A calendar date has no time zone: format it as stored (UTC)
+          const ms = parseDateValue(val);
+          return ms === null ? String(val) : fillPattern(dateFormat, ms, 0);
+        }
+        case 'boolean':
+          return formatBoolean(val);
+        case 'number':
+          return String(plainNumber(val));
+        default:
+          if (typeof val === 'number') return plainNumber(val);
+          if (typeof val === 'boolean') return formatBoolean(val);
+          return String(val);
+      }
+    };
+  }
+
+  return {
+    BOOLEANS,
+    parseDateValue,
+    timeZoneOffsetMs,
+    plainNumber,
+    createValueFormatter,
+  };
+})();
@@ -0,0 +1,296 @@
+/**
+ * content-grid.js — In-toast results preview grid for SF Query Editor Helper.
+ *
+ * Loaded before content.js in the MAIN "world" (same JS execution context).
+ * Exposes window.__SF_DC_GRID__.mount, which renders a virtualized,
+ * sortable, filterable table into a container inside a toast's shadow root.
+ *
+ * Columns come from the same specs the CSV builders use ({ header, get }),
+ * so the grid shows the same columns and rows as the file, but with raw
+ * values: the export's type-aware formatting (content-format.js — dates,
+ * numbers, booleans, the null token) and the CSV dialect are not applied
+ * here, and sorting works on the raw values.  The grid
+ * never copies or reorders the caller's rows — it only maintains an ordered
+ * list of row indices (the "view") that the caller maps back onto its own
+ * dataRows / records when downloading or copying.
+ */
+window.__SF_DC_GRID__ = (function () {
+  'use strict';
+
+  const ROW_HEIGHT = 24;   // px — fixed so the visible window can be computed
+  const COL_WIDTH = 150;   // px
+  const OVERSCAN = 8;      // extra rows rendered above/below the viewport
+  const FILTER_DEBOUNCE_MS = 150;
+
+  const CSS = `
+    .grid-toolbar {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin: 10px 0 6px;
+    }
+
+    .grid-filter {
+      flex: 1;
+      font: inherit;
+      font-size: 12px;
+      padding: 4px 8px;
+      border: 1px solid #dddbda;
+      border-radius: 4px;
+      outline: none;
+    }
+    .grid-filter:focus { border-color: #0176d3; }
+
+    .grid-status {
+      font-size: 11px;
+      color: #706e6b;
+      white-space: nowrap;
+    }
+    .grid-status.active { color: #0176d3; }
+
+    .grid-scroll {
+      height: 300px;
+      overflow: auto;
+      position: relative;
+      border: 1px solid #dddbda;
+      border-radius: 4px;
+      font-size: 12px;
+      color: #3e3e3c;
+    }
+
+    .grid-header {
+      position: sticky;
+      top: 0;
+      z-index: 1;
+      display: flex;
+      background: #f3f2f2;
+      border-bottom: 1px solid #dddbda;
+      font-weight: 600;
+    }
+
+    .grid-body { position: relative; }
+
+    .grid-row {
+      position: absolute;
+      left: 0;
+      display: flex;
+      height: ${ROW_HEIGHT}px;
+      line-height: ${ROW_HEIGHT}px;
+      border-bottom: 1px solid #f3f2f2;
+    }
+    .grid-row.odd { background: #fafaf9; }
+
+    .grid-cell {
+      flex: 0 0 ${COL_WIDTH}px;
+      width: ${COL_WIDTH}px;
+      box-sizing: border-box;
+      padding: 0 6px;
+      overflow: hidden;
+      white-space: nowrap;
+      text-overflow: ellipsis;
+      border-right: 1px solid #f3f2f2;
+    }
+
+    .grid-header .grid-cell {
+      height: ${ROW_HEIGHT + 4}px;
+      line-height: ${ROW_HEIGHT + 4}px;
+      cursor: pointer;
+      user-select: none;
+    }
+    .grid-header .grid-cell:hover { background: #e5e5e5; }
+
+    .grid-empty {
+      padding: 12px;
+      color: #706e6b;
+    }
+  `;
+
+  /** Display text for a cell — the raw value, before any export formatting. */
+  function cellText(val) {
+    if (val === null || val === undefined) return '';
+    if (typeof val === 'object') return JSON.stringify(val);
+    return String(val);
+  }
+
+  /**
+   * Sort comparator: numeric when both cells parse as finite numbers, natural
+   * string order otherwise.  Blank cells always sort last.
+   */
+  function compareCells(a, b) {
+    if (a === b) return 0;
+    if (a === '') return 1;
+    if (b === '') return -1;
+    const na = Number(a);
+    const nb = Number(b);
+    if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Render the grid into `container` (an element inside a shadow root).
+   *
+   * @param {HTMLElement} container
+   * @param {object}      options
+   * @param {Array}       options.specs - [{ header, get(row) }] column specs.
+   * @param {Array}       options.rows  - Raw dataRows / records.
+   * @returns {{ getViewIndices: () => (number[]|null), destroy: () => void }}
+   */
+  function mount(container, { specs, rows }) {
+    container.innerHTML = `
+      <style>${CSS}</style>
+      <div class="grid-toolbar">
+        <input class="grid-filter" type="search" placeholder="Filter rows…" />
+        <span class="grid-status"></span>
+      </div>
+      <div class="grid-scroll">
+        <div class="grid-header"></div>
+        <div class="grid-body"></div>
+      </div>
+    `;
+
+    const filterInput = container.querySelector('.grid-filter');
+    const statusEl = container.querySelector('.grid-status');
+    const scrollEl = container.querySelector('.grid-scroll');
+    const headerEl = container.querySelector('.grid-header');
+    const bodyEl = container.querySelector('.grid-body');
+
+    // Cell text is computed once up-front; sorting and filtering then work on
+    // plain strings without re-running the spec getters.
+    const cells = rows.map((row) => specs.map((s) => cellText(s.get(row))));
+    const lowerRows = [];  // lazily built on first filter
+
+    let view = cells.map((_, i) => i);
+    let sortCol = null;
+    let sortDir = 1;
+    let filterText = '';
+    let rafPending = false;
+    let filterTimer = null;
+
+    const totalWidth = Math.max(1, specs.length) * COL_WIDTH;
+    headerEl.style.width = totalWidth + 'px';
+    bodyEl.style.width = totalWidth + 'px';
+
+    function renderHeader() {
+      headerEl.innerHTML = '';
+      specs.forEach((spec, col) => {
+        const cell = document.createElement('div');
+        cell.className = 'grid-cell';
+        const arrow = sortCol === col ? (sortDir === 1 ? ' ▲' : ' ▼') : '';
+        cell.textContent = spec.header + arrow;
+        cell.title = `${spec.header} — click to sort`;
+        cell.addEventListener('click', () => {
+          // Cycle: ascending → descending → original order
+          if (sortCol !== col) { sortCol = col; sortDir = 1; }
+          else if (sortDir === 1) { sortDir = -1; }
+          else { sortCol = null; }
+          renderHeader();
+          applyView();
+        });
+        headerEl.appendChild(cell);
+      });
+    }
+
+    function applyView() {
+      let next;
+      if (filterText) {
+        if (lowerRows.length === 0) {
+          for (const r of cells) lowerRows.push(r.join('\u0000').toLowerCase());
+        }
+        next = [];
+        for (let i = 0; i < lowerRows.length; i++) {
+          if (lowerRows[i].includes(filterText)) next.push(i);
+        }
+      } else {
+        next = cells.map((_, i) => i);
+      }
+
+      if (sortCol !== null) {
+        const col = sortCol;
+        const dir = sortDir;
+        next.sort((a, b) => dir * compareCells(cells[a][col], cells[b][col]) || a - b);
+      }
+
+      view = next;
+      bodyEl.style.height = view.length * ROW_HEIGHT + 'px';
+      scrollEl.scrollTop = 0;
+      renderStatus();
+      renderRows();
+    }
+
+    function renderStatus() {
+      const active = filterText !== '' || sortCol !== null;
+      statusEl.classList.toggle('active', active);
+      statusEl.textContent = active
+        ? `${view.length.toLocaleString()} of ${cells.length.toLocaleString()} rows — download/copy use this view`
+        : `${cells.length.toLocaleString()} rows`;
+    }
+
+    function renderRows() {
+      rafPending = false;
+      bodyEl.innerHTML = '';
+      if (view.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'grid-empty';
+        empty.textContent = filterText ? 'No rows match the filter.' : 'No rows.';
+        bodyEl.appendChild(empty);
+        return;
+      }
+
+      const headerHeight = headerEl.offsetHeight;
+      const top = Math.max(0, scrollEl.scrollTop - headerHeight);
+      const visible = Math.ceil((scrollEl.clientHeight || 300) / ROW_HEIGHT);
+      const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+      const end = Math.min(view.length, start + visible + OVERSCAN * 2);
+
+      const frag = document.createDocumentFragment();
+      for (let v = start; v < end; v++) {
+        const rowCells = cells[view[v]];
+        const rowEl = document.createElement('div');
+        rowEl.className = v % 2 ? 'grid-row odd' : 'grid-row';
+        rowEl.style.top = v * ROW_HEIGHT + 'px';
+        for (const text of rowCells) {
+          const cell = document.createElement('div');
+          cell.className = 'grid-cell';
+          cell.textContent = text;
+          if (text.length > 18) cell.title = text;
+          rowEl.appendChild(cell);
+        }
+        frag.appendChild(rowEl);
+      }
+      bodyEl.appendChild(frag);
+    }
+
+    scrollEl.addEventListener('scroll', () => {
+      if (rafPending) return;
+      rafPending = true;
+      requestAnimationFrame(renderRows);
+    });
+
+    filterInput.addEventListener('input', () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(() => {
+        filterText = filterInput.value.trim().toLowerCase();
+        applyView();
+      }, FILTER_DEBOUNCE_MS);
+    });
+
+    // Keep keystrokes (notably Escape) in the filter box from reaching the page
+    filterInput.addEventListener('keydown', (e) => e.stopPropagation());
+
+    renderHeader();
+    applyView();
+
+    return {
+      /** Ordered row indices of the current view, or null when unfiltered/unsorted. */
+      getViewIndices() {
+        return filterText === '' && sortCol === null ? null : view.slice();
+      },
+      destroy() {
+        clearTimeout(filterTimer);
+        container.innerHTML = '';
+      },
+    };
+  }
+
+  return { mount };
+})();
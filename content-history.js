@@ -0,0 +1,520 @@
+/**
+ * content-history.js — Per-tab query history for SF Query Editor Helper.
+ *
+ * Loaded before content.js in the MAIN "world" (same JS execution context).
+ * Exposes window.__SF_DC_HISTORY__ so both the DC and SOQL flows can record
+ * captured results, and renders the Shadow DOM history panel used to reopen
+ * or re-export them.
+ *
+ * Entries live in memory for the life of the page and are mirrored to
+ * localStorage under a per-tab key (the tab id itself is kept in
+ * sessionStorage, which survives reloads but not tab closes).  Row data is
+ * only persisted while the serialized history stays under MAX_STORED_CHARS;
+ * older entries beyond that keep their summary but lose their rows.
+ */
+window.__SF_DC_HISTORY__ = (function () {
+  'use strict';
+
+  const MAX_ENTRIES = 25;
+  // localStorage holds ~5M UTF-16 chars per origin, shared by every tab.
+  const MAX_STORED_CHARS = 2_000_000;
+  // Histories of tabs that have not written for this long are deleted.
+  const STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+  const KEY_PREFIX = '__SF_DC_CSV__history:';
+  const TAB_ID_KEY = '__SF_DC_CSV__tabId';
+
+  const storageKey = KEY_PREFIX + loadTabId();
+
+  // Newest first.  Each entry:
+  //   { id, kind: 'dc'|'soql'|'sosl', query, objectType, rowCount, totalRows,
+  //     columnCount, capturedAt, data, dataDropped, live }
+  // `data` is { queryId, metadata, dataRows } for DC and
+  // { records, totalSize, done, nextRecordsUrl } for SOQL and SOSL.  `live` holds
+  // objects that must never be persisted: the Aura context and token, and
+  // the streamed "Fetch all" CSV files (`fullCsvFiles`, `fullCsvRows`).
+  let entries = load();
+  pruneStaleTabs();
+
+  function loadTabId() {
+    try {
+      let id = sessionStorage.getItem(TAB_ID_KEY);
+      if (!id) {
+        id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        sessionStorage.setItem(TAB_ID_KEY, id);
+      }
+      return id;
+    } catch (_) {
+      return 'default';
+    }
+  }
+
+  function load() {
+    try {
+      const parsed = JSON.parse(localStorage.getItem(storageKey) ?? '[]');
+      return Array.isArray(parsed?.entries) ? parsed.entries : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function pruneStaleTabs() {
+    try {
+      const now = Date.now();
+      for (let i = localStorage.length - 1; i >= 0; i--) {
+        const key = localStorage.key(i);
+        if (!key?.startsWith(KEY_PREFIX) || key === storageKey) continue;
+        let savedAt = 0;
+        try { savedAt = JSON.parse(localStorage.getItem(key))?.savedAt ?? 0; } catch (_) {}
+        if (now - savedAt > STALE_AFTER_MS) localStorage.removeItem(key);
+      }
+    } catch (_) {}
+  }
+
+  // Each entry's JSON in parts, so persist() only stringifies what changed:
+  // `meta` is the entry without its rows, `summary` the same marked as
+  // dropped, and `data` the rows' JSON when they could fit MAX_STORED_CHARS
+  // (`dataLength` is Infinity when they can't).  update() drops the parts
+  // the new fields touch.
+  const serialized = new WeakMap();
+
+  function cachedEntry(entry) {
+    let cached = serialized.get(entry);
+    if (!cached) serialized.set(entry, (cached = {}));
+    return cached;
+  }
+
+  /**
+   * JSON.stringify(data), or null as soon as it would pass `limit` chars.
+   * Arrays are stringified an element at a time, so a Fetch all of millions
+   * of records stops after the first ~`limit` characters instead of building
+   * one huge string.
+   */
+  function boundedJson(data, limit) {
+    const parts = [];
+    let length = 2;
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || typeof value === 'function') continue;
+      let json;
+      if (Array.isArray(value)) {
+        // Brackets and commas first: a long enough array is over on its own
+        length += 2 + Math.max(value.length - 1, 0);
+        const items = [];
+        for (const item of value) {
+          if (length > limit) return null;
+          const itemJson = JSON.stringify(item) ?? 'null';
+          length += itemJson.length;
+          items.push(itemJson);
+        }
+        json = `[${items.join(',')}]`;
+      } else {
+        json = JSON.stringify(value);
+        length += json.length;
+      }
+      const pair = `${JSON.stringify(key)}:${json}`;
+      length += pair.length - json.length + (parts.length ? 1 : 0);
+      if (length > limit) return null;
+      parts.push(pair);
+    }
+    return `{${parts.join(',')}}`;
+  }
+
+  function metaJson(entry) {
+    const cached = cachedEntry(entry);
+    if (cached.meta === undefined) {
+      const { live, data, ...stored } = entry;
+      cached.meta = JSON.stringify(stored);
+    }
+    return cached.meta;
+  }
+
+  function dataLength(entry) {
+    const cached = cachedEntry(entry);
+    if (cached.dataLength === undefined) {
+      cached.data = entry.data ? boundedJson(entry.data, MAX_STORED_CHARS) : 'null';
+      cached.dataLength = cached.data?.length ?? Infinity;
+    }
+    return cached.dataLength;
+  }
+
+  /** Length of the entry's JSON with its rows; Infinity if they can't fit. */
+  function fullLength(entry) {
+    return metaJson(entry).length + ',"data":'.length + dataLength(entry);
+  }
+
+  function serializeEntry(entry, withData) {
+    const cached = cachedEntry(entry);
+    if (withData) {
+      if (cached.full === undefined) {
+        fullLength(entry);
+        cached.full = `${metaJson(entry).slice(0, -1)},"data":${cached.data}}`;
+      }
+      return cached.full;
+    }
+    if (cached.summary === undefined) {
+      const { live, ...stored } = entry;
+      cached.summary = JSON.stringify({ ...stored, data: null, dataDropped: true });
+    }
+    return cached.summary;
+  }
+
+  /**
+   * Serialize newest-first, dropping row data from any entry that would push
+   * the total past MAX_STORED_CHARS — once the budget is used up the rows of
+   * older entries aren't even stringified.  If the browser quota is still
+   * exceeded (other tabs share it) fall back to summaries only.
+   */
+  function persist() {
+    const serialize = (budget) => {
+      const parts = [];
+      let used = 0;
+      for (const entry of entries) {
+        const keepData = !entry.data ||
+          (used < budget && used + fullLength(entry) <= budget);
+        const json = serializeEntry(entry, keepData);
+        used += json.length;
+        parts.push(json);
+      }
+      return `{"savedAt":${Date.now()},"entries":[${parts.join(',')}]}`;
+    };
+
+    try {
+      localStorage.setItem(storageKey, serialize(MAX_STORED_CHARS));
+    } catch (_) {
+      try { localStorage.setItem(storageKey, serialize(0)); } catch (_) {}
+    }
+  }
+
+  /**
+   * Record a captured result and return its id.
+   *
+   * @param {object} entry - { kind, query, objectType, rowCount, totalRows,
+   *                           columnCount, data, live }
+   */
+  function add(entry) {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    entries.unshift({
+      id,
+      kind: entry.kind,
+      query: entry.query ?? null,
+      objectType: entry.objectType ?? null,
+      rowCount: entry.rowCount ?? 0,
+      totalRows: entry.totalRows ?? null,
+      columnCount: entry.columnCount ?? 0,
+      capturedAt: Date.now(),
+      data: entry.data ?? null,
+      dataDropped: false,
+      live: entry.live ?? null,
+    });
+    if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+    persist();
+    renderPanel();
+    return id;
+  }
+
+  /** Merge new fields into an existing entry (e.g. after "Fetch all"). */
+  function update(id, fields) {
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return;
+    Object.assign(entry, fields);
+    if (fields.data) entry.dataDropped = false;
+    // Only new rows need re-stringifying; `live` isn't stored at all
+    const cached = cachedEntry(entry);
+    if ('data' in fields) {
+      delete cached.data;
+      delete cached.dataLength;
+    }
+    if (Object.keys(fields).some((key) => key !== 'live')) {
+      delete cached.meta;
+      delete cached.summary;
+      delete cached.full;
+    }
+    persist();
+    renderPanel();
+  }
+
+  function get(id) {
+    return entries.find((e) => e.id === id) ?? null;
+  }
+
+  function list() {
+    return entries.slice();
+  }
+
+  function remove(id) {
+    entries = entries.filter((e) => e.id !== id);
+    persist();
+    renderPanel();
+  }
+
+  function clear() {
+    entries = [];
+    try { localStorage.removeItem(storageKey); } catch (_) {}
+    renderPanel();
+  }
+
+  // ── History panel (Shadow DOM) ──────────────────────────────────────────────
+
+  const CSS = `
+    :host { all: initial; }
+
+    .panel {
+      position: fixed;
+      top: 24px;
+      right: 24px;
+      width: 440px;
+      max-height: 70vh;
+      display: flex;
+      flex-direction: column;
+      background: #ffffff;
+      border: 1px solid #dddbda;
+      border-left: 4px solid #032d60;
+      border-radius: 6px;
+      box-shadow: 0 6px 28px rgba(0, 0, 0, 0.18);
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, 'Salesforce Sans',
+                   'Segoe UI', Helvetica, Arial, sans-serif;
+      font-size: 12px;
+      color: #3e3e3c;
+    }
+
+    .header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 12px 14px 8px;
+      border-bottom: 1px solid #f3f2f2;
+    }
+
+    .title { font-size: 14px; font-weight: 600; color: #032d60; }
+
+    .close-btn {
+      background: none;
+      border: none;
+      cursor: pointer;
+      color: #706e6b;
+      font-size: 20px;
+      line-height: 1;
+      padding: 0 2px;
+    }
+    .close-btn:hover { color: #032d60; }
+
+    .list { overflow-y: auto; padding: 4px 0; }
+
+    .empty { padding: 16px 14px; color: #706e6b; }
+
+    .item {
+      padding: 8px 14px;
+      border-bottom: 1px solid #f3f2f2;
+    }
+
+    .item-head {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 3px;
+    }
+
+    .badge {
+      font-size: 10px;
+      font-weight: 600;
+      color: #fff;
+      background: #0176d3;
+      border-radius: 3px;
+      padding: 1px 5px;
+    }
+    .badge.soql { background: #2e844a; }
+    .badge.sosl { background: #7526e3; }
+
+    .object { font-weight: 600; color: #032d60; }
+    .when { margin-left: auto; color: #706e6b; font-size: 11px; }
+
+    .query {
+      font-family: Menlo, Consolas, monospace;
+      font-size: 11px;
+      color: #706e6b;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      margin-bottom: 5px;
+    }
+
+    .item-actions { display: flex; align-items: center; gap: 6px; }
+    .counts { color: #3e3e3c; margin-right: auto; }
+    .dropped { color: #a8660a; }
+
+    .btn {
+      padding: 3px 10px;
+      border-radius: 4px;
+      font-size: 12px;
+      cursor: pointer;
+      border: 1px solid #dddbda;
+      background: #fff;
+      color: #0176d3;
+    }
+    .btn:hover:not(:disabled) { background: #f0f7ff; }
+    .btn:disabled { opacity: 0.45; cursor: not-allowed; }
+    .btn-remove { color: #706e6b; }
+    .btn.failed { color: #ba0517; border-color: #ba0517; }
+
+    .footer {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 8px 14px;
+      border-top: 1px solid #f3f2f2;
+      color: #706e6b;
+      font-size: 11px;
+    }
+  `;
+
+  let panelHost = null;
+  let panelHandlers = null;
+
+  /**
+   * Show the history panel.
+   *
+   * @param {object}   handlers
+   * @param {Function} handlers.onOpen     - (entry) reopen the entry's toast.
+   * @param {Function} handlers.onDownload - (entry) re-export the entry as CSV;
+   *                                         may return a promise.
+   */
+  function openPanel(handlers) {
+    panelHandlers = handlers;
+    if (!panelHost) {
+      panelHost = document.createElement('div');
+      panelHost.setAttribute('data-sf-dc-csv-exporter', 'history');
+      panelHost.attachShadow({ mode: 'open' });
+      document.body.appendChild(panelHost);
+    }
+    renderPanel();
+  }
+
+  function closePanel() {
+    if (!panelHost) return;
+    panelHost.remove();
+    panelHost = null;
+  }
+
+  function togglePanel(handlers) {
+    if (panelHost) closePanel();
+    else openPanel(handlers);
+  }
+
+  function isPanelOpen() {
+    return panelHost !== null;
+  }
+
+  function formatWhen(ts) {
+    const d = new Date(ts);
+    const sameDay = d.toDateString() === new Date().toDateString();
+    return sameDay
+      ? d.toLocaleTimeString()
+      : d.toLocaleDateString() + ' ' + d.toLocaleTimeString();
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function renderPanel() {
+    if (!panelHost) return;
+    const shadow = panelHost.shadowRoot;
+    shadow.innerHTML = `
+      <style>${CSS}</style>
+      <div class="panel">
+        <div class="header">
+          <span class="title">&#x1F552; Query History</span>
+          <button class="close-btn" id="close" title="Close">&times;</button>
+        </div>
+        <div class="list" id="list"></div>
+        <div class="footer">
+          <span>Kept for this tab (Alt+Shift+H)</span>
+          <button class="btn btn-remove" id="clear">Clear history</button>
+        </div>
+      </div>
+    `;
+    shadow.getElementById('close').addEventListener('click', closePanel);
+    shadow.getElementById('clear').addEventListener('click', clear);
+
+    const listEl = shadow.getElementById('list');
+    if (entries.length === 0) {
+      listEl.appendChild(el('div', 'empty', 'No query results captured in this tab yet.'));
+      return;
+    }
+
+    for (const entry of entries) {
+      const item = el('div', 'item');
+
+      const head = el('div', 'item-head');
+      head.appendChild(el('span', 'badge' + (entry.kind === 'dc' ? '' : ` ${entry.kind}`), entry.kind.toUpperCase()));
+      head.appendChild(el('span', 'object', entry.objectType ?? '(unknown object)'));
+      head.appendChild(el('span', 'when', formatWhen(entry.capturedAt)));
+      item.appendChild(head);
+
+      const query = el('div', 'query', entry.query ?? '(query text not captured)');
+      if (entry.query) query.title = entry.query;
+      item.appendChild(query);
+
+      const actions = el('div', 'item-actions');
+      const total = entry.totalRows != null && entry.totalRows !== entry.rowCount
+        ? ` of ${entry.totalRows.toLocaleString()}`
+        : '';
+      actions.appendChild(el(
+        'span',
+        'counts',
+        `${entry.rowCount.toLocaleString()}${total} rows • ${entry.columnCount} columns`
+      ));
+      if (entry.live?.fullCsvRows != null) {
+        actions.appendChild(el('span', 'dropped', `full CSV: ${entry.live.fullCsvRows.toLocaleString()} rows`));
+      } else if (!entry.data) {
+        actions.appendChild(el('span', 'dropped', 'rows not kept'));
+      }
+
+      const openBtn = el('button', 'btn', 'Open');
+      const csvBtn = el('button', 'btn', 'CSV');
+      if (entry.live?.fullCsvFiles) csvBtn.title = 'Download the full "Fetch all" CSV';
+      const removeBtn = el('button', 'btn btn-remove', '×');
+      removeBtn.title = 'Remove from history';
+      openBtn.disabled = !entry.data;
+      csvBtn.disabled = !entry.data && !entry.live?.fullCsvFiles;
+      openBtn.addEventListener('click', () => panelHandlers?.onOpen(entry));
+      const csvTitle = csvBtn.title;
+      csvBtn.addEventListener('click', async () => {
+        csvBtn.disabled = true;
+        try {
+          await panelHandlers?.onDownload(entry);
+          csvBtn.textContent = 'CSV';
+          csvBtn.title = csvTitle;
+          csvBtn.classList.remove('failed');
+        } catch (e) {
+          // Keep the reason on the button; the panel has no status line
+          csvBtn.textContent = 'CSV failed';
+          csvBtn.title = e.message;
+          csvBtn.classList.add('failed');
+        }
+        csvBtn.disabled = false;
+      });
+      removeBtn.addEventListener('click', () => remove(entry.id));
+      actions.append(openBtn, csvBtn, removeBtn);
+      item.appendChild(actions);
+
+      listEl.appendChild(item);
+    }
+  }
+
+  return {
+    add,
+    update,
+    get,
+    list,
+    remove,
+    clear,
+    openPanel,
+    closePanel,
+    togglePanel,
+    isPanelOpen,
+  };
+})();
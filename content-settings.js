@@ -0,0 +1,136 @@
+/**
+ * content-settings.js — Export settings for SF Query Editor Helper.
+ *
+ * Loaded first in the MAIN "world".  MAIN-world scripts can't reach
+ * chrome.storage, so the stored settings are relayed by content-bridge.js
+ * (ISOLATED world) over window.postMessage: this script asks for them once at
+ * startup, and the bridge pushes them again whenever the options page saves.
+ * Until the first reply arrives (a few ms) the defaults apply.
+ *
+ * Exposes window.__SF_DC_SETTINGS__ = { DEFAULTS, sanitize, get, all, onChange }.
+ * options.html loads this file too, for DEFAULTS and sanitize.
+ *
+ * Values are read at the moment they're needed (get('dcBatchSize') when a
+ * Fetch all starts, …), so saved changes take effect without a page reload.
+ */
+window.__SF_DC_SETTINGS__ = (function () {
+  'use strict';
+
+  // Must match content-bridge.js
+  const MSG_SOURCE = '__SF_DC_CSV__settings';
+
+  const DEFAULTS = Object.freeze({
+    csvDelimiter: ',',          // ',' | ';' | '\t' | '|'
+    csvBom: true,               // UTF-8 BOM so Excel detects the encoding
+    csvLineEnding: 'crlf',      // 'crlf' | 'lf'
+    csvDecimalComma: false,     // write numbers as 1234,5
+    csvTypeRow: false,          // second header row with each column's type
+    splitMaxRows: 1_048_575,    // rows per file when splitting; Excel's limit less the header
+                                // (one less again when csvTypeRow is on, see content.js)
+    dateTimeFormat: 'YYYY-MM-DDTHH:mm:ss.SSSZ',  // see content-format.js
+    dateFormat: 'YYYY-MM-DD',
+    timeZone: 'UTC',            // 'UTC' | 'local' | IANA name, for datetimes
+    booleanFormat: 'true-false',  // 'true-false' | 'TRUE-FALSE' | '1-0' | 'yes-no'
+    nullToken: '',              // written for empty values in CSV and copies
+    dcBatchSize: 49_999,        // rows per DC Fetch-all page (LIMIT)
+    dcConcurrency: 3,           // DC pages requested at once when the total is known
+    flushTimeoutMs: 1_500,      // wait for more DC pages before showing the toast
+    retryLimit: 5,              // retries per request after the first attempt
+    dcFilenameTemplate: 'dc-query-{shortId}-{timestamp}',
+    soqlFilenameTemplate: '{object|lower}-query-{timestamp}',
+    timestampFormat: 'YYYY-MM-DD-HH-mm-ss',  // see content-filename.js
+    jsonStripAttributes: true,  // drop SOQL `attributes` blocks from JSON
+    zipQueryFile: true,         // add query.sql / query.soql to .zip exports
+  });
+
+  const bool = (v) => (typeof v === 'boolean' ? v : undefined);
+  const int = (min, max) => (v) =>
+    Number.isInteger(v) && v >= min && v <= max ? v : undefined;
+  const text = (maxLength) => (v) =>
+    typeof v === 'string' && v.trim() !== '' && v.length <= maxLength ? v.trim() : undefined;
+  // Like text, but '' and surrounding spaces are meaningful
+  const token = (maxLength) => (v) =>
+    typeof v === 'string' && v.length <= maxLength && !/[\r\n]/.test(v) ? v : undefined;
+  const timeZone = (v) => {
+    if (v === 'UTC' || v === 'local') return v;
+    if (typeof v !== 'string' || v.trim() === '' || v.length > 60) return undefined;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: v.trim() });
+      return v.trim();
+    } catch (_) {
+      return undefined;  // unknown IANA name
+    }
+  };
+
+  // One validator per setting: returns the accepted value, or undefined to
+  // fall back to the default.  Messages can come from any page script, so
+  // nothing is trusted unvalidated.
+  const RULES = {
+    csvDelimiter: (v) => ([',', ';', '\t', '|'].includes(v) ? v : undefined),
+    csvBom: bool,
+    csvLineEnding: (v) => (v === 'crlf' || v === 'lf' ? v : undefined),
+    csvDecimalComma: bool,
+    csvTypeRow: bool,
+    splitMaxRows: int(1, 100_000_000),
+    dateTimeFormat: text(60),
+    dateFormat: text(40),
+    timeZone,
+    booleanFormat: (v) => (['true-false', 'TRUE-FALSE', '1-0', 'yes-no'].includes(v) ? v : undefined),
+    nullToken: token(20),
+    dcBatchSize: int(1, 49_999),
+    dcConcurrency: int(1, 6),
+    flushTimeoutMs: int(200, 30_000),
+    retryLimit: int(0, 10),
+    dcFilenameTemplate: text(200),
+    soqlFilenameTemplate: text(200),
+    timestampFormat: text(40),
+    jsonStripAttributes: bool,
+    zipQueryFile: bool,
+  };
+
+  /** Keep only known keys with valid values. */
+  function sanitize(raw) {
+    const clean = {};
+    if (!raw || typeof raw !== 'object') return clean;
+    for (const [key, rule] of Object.entries(RULES)) {
+      const value = rule(raw[key]);
+      if (value !== undefined) clean[key] = value;
+    }
+    return clean;
+  }
+
+  let current = { ...DEFAULTS };
+  const listeners = new Set();
+
+  function get(key) {
+    return current[key];
+  }
+
+  function all() {
+    return { ...current };
+  }
+
+  /** Call `fn(settings)` after every update; returns an unsubscribe function. */
+  function onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function apply(raw) {
+    current = { ...DEFAULTS, ...sanitize(raw) };
+    for (const fn of listeners) {
+      try { fn(all()); } catch (e) { console.error('[SF DC CSV Exporter] settings listener failed:', e); }
+    }
+  }
+
+  if (window.location.protocol !== 'chrome-extension:') {
+    window.addEventListener('message', (e) => {
+      if (e.source !== window || e.data?.source !== MSG_SOURCE || e.data.type !== 'settings') return;
+      apply(e.data.settings);
+    });
+    // The bridge may have started before or after us; ask rather than wait.
+    window.postMessage({ source: MSG_SOURCE, type: 'request' }, window.location.origin);
+  }
+
+  return { DEFAULTS, sanitize, get, all, onChange };
+})();
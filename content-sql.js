@@ -0,0 +1,271 @@
+/**
+ * content-sql.js — SQL rewriting for Data Cloud "Fetch all" pagination.
+ *
+ * Loaded before content.js in the MAIN "world".  Exposes window.__SF_DC_SQL__.
+ *
+ * Pagination appends "LIMIT n OFFSET m" to the user's query, so the query
+ * must first be split into its body and its own trailing row-limiting
+ * clauses.  A small tokenizer does this instead of regexes, so comments,
+ * string literals, quoted identifiers, parentheses (sub-queries) and a
+ * closing ";" are understood.  The user's LIMIT / FETCH FIRST and OFFSET are
+ * kept as bounds: pages start at their OFFSET and stop at their LIMIT.
+ *
+ * OFFSET paging is only stable when the query has an ORDER BY, and gets
+ * slower the deeper it goes.  When the query is ordered by a single column,
+ * pages are fetched by keyset instead: the query is wrapped and each page
+ * asks for the rows after the last key seen ("WHERE key > last").
+ *
+ * countQuery wraps the query in SELECT COUNT(*), for results whose size the
+ * server didn't report.
+ *
+ * Anything that can't be rewritten with certainty (several statements, a
+ * LIMIT that isn't a plain number, …) is refused with a message rather than
+ * guessed at.  Strings follow ANSI SQL ('' escapes a quote), as Data Cloud
+ * SQL does.
+ */
+window.__SF_DC_SQL__ = (function () {
+  'use strict';
+
+  const WORD_RE = /[\p{L}_][\p{L}\p{N}_$]*/uy;
+  const NUMBER_RE = /(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/y;
+  const SPACE_RE = /\s+/y;
+
+  function refuse(reason) {
+    return new Error(`Can't paginate this query safely: ${reason}`);
+  }
+
+  /**
+   * Split SQL into tokens { type, text, start, end, depth }.  `type` is one
+   * of 'ws' | 'comment' | 'string' | 'ident' (a "quoted" identifier) |
+   * 'word' | 'number' | 'punct'; `depth` is the parenthesis depth, with
+   * parentheses themselves at the outer depth.  Throws on unterminated
+   * strings or comments and on unbalanced parentheses.
+   */
+  function tokenize(sql) {
+    const tokens = [];
+    let depth = 0;
+    let i = 0;
+
+    const match = (re) => {
+      re.lastIndex = i;
+      return re.exec(sql)?.[0] ?? null;
+    };
+    // Quoted text ending at the next unpaired `quote`; doubling escapes it
+    const quoted = (quote, what) => {
+      let j = i + 1;
+      while (true) {
+        j = sql.indexOf(quote, j);
+        if (j === -1) throw refuse(`it has an unterminated ${what}`);
+        if (sql[j + 1] !== quote) return sql.slice(i, j + 1);
+        j += 2;
+      }
+    };
+
+    while (i < sql.length) {
+      const ch = sql[i];
+      let type;
+      let text;
+
+      if ((text = match(SPACE_RE))) {
+        type = 'ws';
+      } else if (sql.startsWith('--', i)) {
+        const eol = sql.indexOf('\n', i);
+        text = sql.slice(i, eol === -1 ? sql.length : eol);
+        type = 'comment';
+      } else if (sql.startsWith('/*', i)) {
+        const close = sql.indexOf('*/', i + 2);
+        if (close === -1) throw refuse('it has an unterminated /* comment');
+        text = sql.slice(i, close + 2);
+        type = 'comment';
+      } else if (ch === "'") {
+        text = quoted("'", 'string');
+        type = 'string';
+      } else if (ch === '"') {
+        text = quoted('"', 'quoted identifier');
+        type = 'ident';
+      } else if (/[\d.]/.test(ch) && (text = match(NUMBER_RE))) {
+        type = 'number';
+      } else if ((text = match(WORD_RE))) {
+        type = 'word';
+      } else {
+        text = ch;
+        type = 'punct';
+        if (ch === ')' && --depth < 0) throw refuse('its parentheses are unbalanced');
+      }
+
+      tokens.push({ type, text, start: i, end: i + text.length, depth });
+      if (ch === '(' && type === 'punct') depth++;
+      i += text.length;
+    }
+    if (depth !== 0) throw refuse('its parentheses are unbalanced');
+    return tokens;
+  }
+
+  /**
+   * Split a SELECT into its body and its own trailing LIMIT / OFFSET /
+   * FETCH FIRST clauses (in any order; ROW/ROWS and LIMIT ALL accepted).
+   *
+   * @param {string} sql
+   * @returns {{ base: string, unordered: string, limit: number|null,
+   *            offset: number, ordered: boolean, keyset: object|null }}
+   *          `base` ends at the last token before those clauses, so trailing
+   *          comments and ";" are dropped and anything appended isn't
+   *          swallowed by a "--" comment.  `unordered` is `base` without its
+   *          top-level ORDER BY.  `ordered` is whether there is one; `keyset`
+   *          is set when it is on a single column (see keysetPlan).
+   * @throws {Error} with a user-facing message when the query can't be
+   *         paginated safely.
+   */
+  function planPagination(sql) {
+    const sig = tokenize(String(sql)).filter((t) => t.type !== 'ws' && t.type !== 'comment');
+    while (sig.length > 0 && sig[sig.length - 1].text === ';') sig.pop();
+
+    if (sig.some((t) => t.text === ';')) throw refuse('it contains more than one statement');
+    if (!isWord(sig[0], 'SELECT', 'WITH')) throw refuse('only SELECT queries can be paginated');
+
+    let limit;   // undefined: no clause yet; null: LIMIT ALL
+    let offset;
+    let end = sig.length;
+    const at = (k) => (end - k >= 0 ? sig[end - k] : undefined);
+
+    if (isWord(at(4), 'LIMIT') && at(2)?.text === ',') {
+      throw refuse('"LIMIT offset, count" is not supported; use LIMIT … OFFSET …');
+    }
+
+    // Peel clauses off the end until none match
+    while (true) {
+      if (isWord(at(2), 'LIMIT') && isWord(at(1), 'ALL') && limit === undefined) {
+        limit = null;
+        end -= 2;
+      } else if (isWord(at(2), 'LIMIT') && plainInt(at(1)) !== null && limit === undefined) {
+        limit = plainInt(at(1));
+        end -= 2;
+      } else if (isWord(at(1), 'ROW', 'ROWS') && plainInt(at(2)) !== null && isWord(at(3), 'OFFSET') && offset === undefined) {
+        offset = plainInt(at(2));
+        end -= 3;
+      } else if (isWord(at(2), 'OFFSET') && plainInt(at(1)) !== null && offset === undefined) {
+        offset = plainInt(at(1));
+        end -= 2;
+      } else if (isWord(at(1), 'ONLY') && isWord(at(2), 'ROW', 'ROWS') && limit === undefined) {
+        // FETCH FIRST|NEXT [n] ROW|ROWS ONLY
+        const n = plainInt(at(3));
+        const k = n === null ? 3 : 4;
+        if (!isWord(at(k), 'FIRST', 'NEXT') || !isWord(at(k + 1), 'FETCH')) break;
+        limit = n ?? 1;
+        end -= k + 1;
+      } else {
+        break;
+      }
+    }
+
+    if (end === 0) throw refuse('only SELECT queries can be paginated');
+    if (sig.slice(0, end).some((t) => isWord(t, 'LIMIT', 'OFFSET', 'FETCH'))) {
+      throw refuse('its LIMIT, OFFSET or FETCH clause is not a plain number at the end of the query');
+    }
+
+    const base = sig.slice(0, end);
+    const orderAt = base.findLastIndex((t, k) => isWord(t, 'ORDER') && isWord(base[k + 1], 'BY'));
+    const unordered = sql.slice(0, base[orderAt > 0 ? orderAt - 1 : end - 1].end);
+
+    return {
+      base: sql.slice(0, sig[end - 1].end),
+      unordered,
+      limit: limit ?? null,
+      offset: offset ?? 0,
+      ordered: orderAt !== -1,
+      keyset: orderAt > 0 && isWord(base[0], 'SELECT') ? keysetPlan(base.slice(orderAt + 2), unordered) : null,
+    };
+  }
+
+  /**
+   * Keyset details for an ORDER BY on one plain column — col, t.col or a
+   * quoted identifier, optionally ASC/DESC and NULLS LAST — else null.
+   * `inner` is the query without its ORDER BY, to be wrapped by keysetQuery.
+   * NULLS FIRST isn't keyset-paginated: NULL keys have no "after".
+   */
+  function keysetPlan(items, inner) {
+    let n = items.length;
+    if (isWord(items[n - 1], 'LAST') && isWord(items[n - 2], 'NULLS')) n -= 2;
+    const desc = isWord(items[n - 1], 'DESC');
+    if (desc || isWord(items[n - 1], 'ASC')) n--;
+
+    // name ( "." name )*
+    const expr = items.slice(0, n);
+    const names = expr.filter((t, k) => (k % 2 === 0 ? t.type === 'word' || t.type === 'ident' : t.text === '.'));
+    if (expr.length % 2 === 0 || names.length !== expr.length) return null;
+
+    const last = expr[expr.length - 1];
+    const column = last.type === 'ident' ? last.text.slice(1, -1).replace(/""/g, '"') : last.text;
+    return { column, ref: last.text, desc, inner };
+  }
+
+  /** A top-level keyword token matching one of `words` (case-insensitive). */
+  function isWord(token, ...words) {
+    return token?.type === 'word' && token.depth === 0 && words.includes(token.text.toUpperCase());
+  }
+
+  /** A non-negative integer literal's value, else null. */
+  function plainInt(token) {
+    return token?.type === 'number' && /^\d+$/.test(token.text) ? Number(token.text) : null;
+  }
+
+  /**
+   * The query for the page that starts `fetched` rows into the user's
+   * result and holds at most `pageSize` rows, or null once the user's own
+   * LIMIT has been reached.  Returns { sql, size }.
+   */
+  function pageQuery(plan, fetched, pageSize) {
+    const size = plan.limit === null ? pageSize : Math.min(pageSize, plan.limit - fetched);
+    if (size <= 0) return null;
+    return { sql: `${plan.base} LIMIT ${size} OFFSET ${plan.offset + fetched}`, size };
+  }
+
+  /**
+   * Keyset variant of pageQuery for a plan with `keyset`: the user's query is
+   * wrapped, ordered by the key with NULLs last, and continues after `after`
+   * (an SQL literal, see sqlLiteral) instead of skipping rows with OFFSET.
+   * Without `after` — the first page, or once the NULL keys at the end are
+   * reached — the page is positioned by OFFSET as usual.  Returns { sql, size }
+   * or null once the user's LIMIT has been reached.
+   */
+  function keysetQuery(plan, after, fetched, pageSize) {
+    const size = plan.limit === null ? pageSize : Math.min(pageSize, plan.limit - fetched);
+    if (size <= 0) return null;
+    const { ref, desc, inner } = plan.keyset;
+    const where = after === undefined
+      ? ''
+      : ` WHERE (${ref} ${desc ? '<' : '>'} ${after} OR ${ref} IS NULL)`;
+    const offset = after === undefined ? ` OFFSET ${plan.offset + fetched}` : '';
+    return {
+      sql: `SELECT * FROM (${inner}) keyset_page${where} ORDER BY ${ref} ${desc ? 'DESC' : 'ASC'} NULLS LAST LIMIT ${size}${offset}`,
+      size,
+    };
+  }
+
+  /**
+   * A key value as an SQL literal: numbers as they are, anything else as a
+   * quoted string.  `kind` is the column's kind ('number' | 'string').
+   */
+  function sqlLiteral(value, kind) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    const s = String(value);
+    if (kind === 'number' && /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return s;
+    return `'${s.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Query counting every row of the user's query, ignoring its LIMIT and
+   * OFFSET (see countedRows); its only column is row_count.
+   */
+  function countQuery(plan) {
+    return `SELECT COUNT(*) AS row_count FROM (${plan.unordered}) count_query`;
+  }
+
+  /** Rows the user's query returns, given `count` from countQuery. */
+  function countedRows(plan, count) {
+    const rows = Math.max(0, count - plan.offset);
+    return plan.limit === null ? rows : Math.min(rows, plan.limit);
+  }
+
+  return { tokenize, planPagination, pageQuery, keysetQuery, sqlLiteral, countQuery, countedRows };
+})();
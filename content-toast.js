@@ -1,28 +1,34 @@
 /**
- * content-toast.js — Shared toast template for SF Query Editor Helper.
+ * content-toast.js — Shared toast template and toast stack for SF Query Editor Helper.
  *
  * Loaded before content.js in the MAIN "world" (same JS execution context).
- * Exposes window.__SF_DC_TOAST__.buildShadow so both showToast (DC queries)
- * and showSoqlToast (Developer Console queries) share one copy of the CSS
- * and one copy of the DOM skeleton.
+ * Exposes window.__SF_DC_TOAST__:
+ *
+ *   – buildShadow, so both showToast (DC queries) and showSoqlToast
+ *     (Developer Console queries) share one copy of the CSS and one copy of
+ *     the DOM skeleton;
+ *   – addToast / removeToast, the stack every toast lives in.  Toasts pile up
+ *     bottom-right, newest at the bottom, so a second result never replaces
+ *     a toast that is still fetching.  Escape closes the toast holding
+ *     focus, and "Dismiss all" appears once there are two or more.
+ *
+ * A toast whose close button is disabled — a fetch is running, or it is
+ * about to close itself — is never closed by the stack.
  */
 window.__SF_DC_TOAST__ = (function () {
   'use strict';
 
   const CSS = `
-    :host { all: initial; }
+    :host { all: initial; display: block; }
 
     .toast {
-      position: fixed;
-      bottom: 24px;
-      right: 24px;
+      position: relative;
       background: #ffffff;
       border: 1px solid #dddbda;
       border-left: 4px solid #0176d3;
       border-radius: 6px;
       box-shadow: 0 6px 28px rgba(0, 0, 0, 0.18);
       padding: 16px 18px 14px;
-      z-index: 2147483647;
       font-family: -apple-system, BlinkMacSystemFont, 'Salesforce Sans',
                    'Segoe UI', Helvetica, Arial, sans-serif;
       min-width: 285px;
@@ -43,6 +49,16 @@ window.__SF_DC_TOAST__ = (function () {
       to { opacity: 0; transform: translateX(110%); }
     }
 
+    /* Collapsed to a pill: the title, plus the progress bar while fetching */
+    .toast.collapsed {
+      min-width: 0;
+      padding: 8px 12px;
+    }
+    .toast.collapsed > :not(.header):not(.progress-wrap),
+    .toast.collapsed .progress-actions { display: none; }
+    .toast.collapsed .header { margin-bottom: 0; }
+    .toast.collapsed .title { cursor: pointer; font-size: 13px; }
+
     .header {
       display: flex;
       align-items: flex-start;
@@ -72,6 +88,24 @@ window.__SF_DC_TOAST__ = (function () {
     .close-btn:hover { color: #032d60; }
     .close-btn:disabled { opacity: 0.4; cursor: not-allowed; }
 
+    .header-btns {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      flex-shrink: 0;
+    }
+
+    .icon-btn {
+      background: none;
+      border: none;
+      cursor: pointer;
+      font-size: 13px;
+      line-height: 1;
+      padding: 2px;
+      opacity: 0.65;
+    }
+    .icon-btn:hover { opacity: 1; }
+
     .meta {
       font-size: 12px;
       color: #706e6b;
@@ -140,6 +174,54 @@ window.__SF_DC_TOAST__ = (function () {
     }
     .btn-copy:hover:not(:disabled) { background: #f3f2f2; }
 
+    .toast.expanded {
+      width: min(92vw, 960px);
+      max-width: min(92vw, 960px);
+    }
+
+    .formats {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      margin-top: 8px;
+      font-size: 11px;
+      color: #706e6b;
+    }
+
+    .link-btn {
+      background: none;
+      border: none;
+      padding: 0;
+      font-size: 11px;
+      font-weight: 600;
+      color: #0176d3;
+      cursor: pointer;
+    }
+    .link-btn:hover:not(:disabled) { text-decoration: underline; }
+    .link-btn:disabled { opacity: 0.45; cursor: not-allowed; }
+
+    .formats label {
+      display: flex;
+      align-items: center;
+      gap: 3px;
+      cursor: pointer;
+    }
+
+    .formats select,
+    .formats input[type="number"] {
+      font: inherit;
+      padding: 1px 4px;
+      border: 1px solid #c9c7c5;
+      border-radius: 4px;
+      background: #ffffff;
+      color: #3e3e3c;
+    }
+    .formats input[type="number"] { width: 90px; }
+    .formats [hidden] { display: none; }
+
+    .format-status { margin-left: auto; }
+    .format-status.error { color: #c23934; }
+
     .progress-wrap { margin-top: 10px; }
 
     .progress-bar-track {
@@ -163,6 +245,18 @@ window.__SF_DC_TOAST__ = (function () {
       margin-top: 4px;
     }
     .progress-text.error { color: #c23934; }
+
+    .progress-actions {
+      display: flex;
+      gap: 8px;
+      margin-top: 6px;
+    }
+
+    .btn-small {
+      padding: 3px 10px;
+      font-size: 12px;
+    }
+    .btn[hidden] { display: none; }
   `;
 
   /**
@@ -172,6 +266,11 @@ window.__SF_DC_TOAST__ = (function () {
    * @param {string}     title    - Pre-computed HTML for the toast title.
    * @param {string}     meta     - Pre-computed HTML for the subtitle line.
    * @param {string}     actionsHtml - Pre-computed HTML for buttons / progress bar.
+   *
+   * Empty, hidden #columnsWrap and #previewWrap are always appended below the
+   * actions for the column picker (content-columns.js) and the preview grid
+   * (content-grid.js) to mount into.  The header's collapse button (and the
+   * title, once collapsed) is wired here.
    */
   function buildShadow(shadow, { title, meta, actionsHtml }) {
     shadow.innerHTML = `
@@ -179,13 +278,113 @@ window.__SF_DC_TOAST__ = (function () {
       <div class="toast" id="toast">
         <div class="header">
           <span class="title">${title}</span>
-          <button class="close-btn" id="close" title="Dismiss">&times;</button>
+          <span class="header-btns">
+            <button class="icon-btn" id="history" title="Query history (Alt+Shift+H)">&#x1F552;</button>
+            <button class="icon-btn" id="collapse" title="Collapse">&#x2796;</button>
+            <button class="close-btn" id="close" title="Dismiss">&times;</button>
+          </span>
         </div>
         <div class="meta">${meta}</div>
         ${actionsHtml}
+        <div class="preview-wrap" id="columnsWrap" hidden></div>
+        <div class="preview-wrap" id="previewWrap" hidden></div>
       </div>
     `;
+
+    const toastEl = shadow.getElementById('toast');
+    const collapseBtn = shadow.getElementById('collapse');
+    const setCollapsed = (collapsed) => {
+      toastEl.classList.toggle('collapsed', collapsed);
+      collapseBtn.title = collapsed ? 'Expand' : 'Collapse';
+      collapseBtn.innerHTML = collapsed ? '&#x2795;' : '&#x2796;';
+    };
+    collapseBtn.addEventListener('click', () => setCollapsed(!toastEl.classList.contains('collapsed')));
+    shadow.querySelector('.title').addEventListener('click', () => {
+      if (toastEl.classList.contains('collapsed')) setCollapsed(false);
+    });
   }
 
-  return { buildShadow };
+  // ── Stack ──────────────────────────────────────────────────────────────────
+
+  // Older idle toasts are closed beyond this many; busy ones are always kept
+  const MAX_TOASTS = 5;
+
+  const toasts = [];   // { host, close } in stacking order, oldest first
+  let stackEl = null;
+  let dismissAllBtn = null;
+
+  function stack() {
+    if (stackEl?.isConnected) return stackEl;
+    stackEl = document.createElement('div');
+    stackEl.setAttribute('data-sf-dc-csv-stack', '');
+    stackEl.style.cssText = [
+      'all: initial', 'position: fixed', 'right: 24px', 'bottom: 24px', 'z-index: 2147483647',
+      'display: flex', 'flex-direction: column', 'align-items: flex-end', 'gap: 10px',
+      'max-height: calc(100vh - 48px)', 'overflow-y: auto', 'pointer-events: none',
+    ].join(';');
+
+    dismissAllBtn = document.createElement('button');
+    dismissAllBtn.textContent = 'Dismiss all';
+    dismissAllBtn.style.cssText = [
+      'all: initial', 'pointer-events: auto', 'cursor: pointer', 'padding: 3px 10px',
+      'border: 1px solid #dddbda', 'border-radius: 12px', 'background: #ffffff', 'color: #0176d3',
+      'font: 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif',
+      'box-shadow: 0 2px 8px rgba(0, 0, 0, 0.12)',
+    ].join(';');
+    dismissAllBtn.addEventListener('click', () => {
+      for (const toast of toasts.slice()) closeIfIdle(toast);
+    });
+    stackEl.appendChild(dismissAllBtn);
+
+    document.body.appendChild(stackEl);
+    return stackEl;
+  }
+
+  function isBusy({ host }) {
+    return host.shadowRoot?.getElementById('close')?.disabled === true;
+  }
+
+  function closeIfIdle(toast) {
+    if (!isBusy(toast)) toast.close();
+  }
+
+  function updateStack() {
+    if (!dismissAllBtn) return;
+    dismissAllBtn.style.display = toasts.length < 2 ? 'none' : '';
+  }
+
+  /**
+   * Put a toast host (not yet in the document) at the bottom of the stack.
+   * `close` animates the toast out and must end with removeToast(host); the
+   * stack calls it for Escape, "Dismiss all" and when making room.
+   */
+  function addToast(host, close) {
+    host.style.pointerEvents = 'auto';
+    stack().appendChild(host);
+    toasts.push({ host, close });
+
+    const idle = toasts.filter((t) => t.host !== host && !isBusy(t));
+    for (const toast of idle.slice(0, Math.max(0, toasts.length - MAX_TOASTS))) toast.close();
+    updateStack();
+  }
+
+  /** Take a toast host out of the stack and the document. */
+  function removeToast(host) {
+    const i = toasts.findIndex((t) => t.host === host);
+    if (i !== -1) toasts.splice(i, 1);
+    host.remove();
+    updateStack();
+  }
+
+  // Escape closes the toast holding focus — never one the user is elsewhere
+  // from, since the page's own editors use Escape too.  Focus inside a
+  // toast's shadow root leaves the host as the document's active element.
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    const active = document.activeElement;
+    const toast = active && toasts.find((t) => t.host === active || t.host.contains(active));
+    if (toast) closeIfIdle(toast);
+  });
+
+  return { buildShadow, addToast, removeToast };
 })();
@@ -0,0 +1,237 @@
+/**
+ * content-xlsx.js — Office Open XML (XLSX) workbook writer for SF Query Editor Helper.
+ *
+ * Loaded after content-zip.js and content-format.js and before content-csv.js
+ * in the MAIN "world".
+ * Exposes window.__SF_DC_XLSX__.buildXlsx, which turns a column list plus
+ * row arrays into a single-sheet workbook Blob.  Pure JS, no network.
+ *
+ * Cells are typed from each column's `type` ('number' | 'boolean' | 'date' |
+ * 'datetime' | 'string'):
+ *   – numbers are written as numeric cells unless they would lose precision
+ *     (more than 15 significant digits), in which case they stay text;
+ *   – dates/datetimes become Excel serial numbers with a date format;
+ *     datetimes show the wall clock of the chosen time zone (UTC by default),
+ *     since Excel has no time zones;
+ *   – Salesforce ID columns are always text, so Excel can't strip leading
+ *     zeros or reinterpret 15/18-char IDs.
+ * The header row is bold and frozen.
+ */
+window.__SF_DC_XLSX__ = (function () {
+  'use strict';
+
+  const MAX_ROWS = 1_048_576;       // Excel's per-sheet limit, header included
+  const MAX_CELL_CHARS = 32_767;    // Excel's per-cell text limit
+
+  // Style indexes into cellXfs below (0 is the default style)
+  const STYLE_HEADER = 1;
+  const STYLE_DATE = 2;
+  const STYLE_DATETIME = 3;
+  const STYLE_TEXT = 4;
+
+  const MS_PER_DAY = 86_400_000;
+  const EXCEL_EPOCH_OFFSET = 25_569;  // days from 1899-12-30 to 1970-01-01
+
+  // Shared with the CSV formatter (content-format.js)
+  const { parseDateValue, timeZoneOffsetMs } = window.__SF_DC_FORMAT__;
+
+  const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+  const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+  const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+  const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2">
+<numFmt numFmtId="164" formatCode="yyyy-mm-dd"/>
+<numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/>
+</numFmts>
+<fonts count="2">
+<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font>
+</fonts>
+<fills count="2">
+<fill><patternFill patternType="none"/></fill>
+<fill><patternFill patternType="gray125"/></fill>
+</fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="49" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+  function workbookXml(sheetName) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+  }
+
+  /** Escape XML text and drop characters XML 1.0 can't represent. */
+  function escapeXml(s) {
+    return s
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /** Sheet names: ≤ 31 chars, none of []:*?/\ */
+  function sanitizeSheetName(name) {
+    const clean = String(name ?? '').replace(/[[\]:*?/\\]/g, '_').slice(0, 31).trim();
+    return clean || 'Results';
+  }
+
+  /** Zero-based column index → spreadsheet letters (0 → A, 27 → AB). */
+  function columnLetter(index) {
+    let s = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+    }
+    return s;
+  }
+
+  /**
+   * True for columns holding Salesforce record IDs: `Id`, `AccountId`,
+   * `Account.Id`, `ssot__Id__c`, … (case-sensitive "Id" so "Paid" is not one).
+   */
+  function isIdColumn(header) {
+    return /(^|[._a-z0-9])Id(__c)?$/.test(String(header));
+  }
+
+  function toSerial(ms) {
+    return ms / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+  }
+
+  function stringCell(ref, text, style) {
+    const clipped = text.length > MAX_CELL_CHARS ? text.slice(0, MAX_CELL_CHARS) : text;
+    const s = style ? ` s="${style}"` : '';
+    return `<c r="${ref}" t="inlineStr"${s}><is><t xml:space="preserve">${escapeXml(clipped)}</t></is></c>`;
+  }
+
+  /**
+   * Serialize one value according to its column kind.  Datetimes are written
+   * as the wall clock of `timeZone`; dates are never shifted.
+   */
+  function cellXml(ref, val, kind, timeZone) {
+    if (val === null || val === undefined || val === '') return '';
+    const text = typeof val === 'object' ? JSON.stringify(val) : String(val);
+
+    switch (kind) {
+      case 'id':
+        return stringCell(ref, text, STYLE_TEXT);
+      case 'number': {
+        const n = typeof val === 'number' ? val : Number(text);
+        // More than 15 significant digits would be silently rounded by Excel
+        const digits = text.replace(/^-|\.|e.*$/gi, '').replace(/^0+/, '').length;
+        if (Number.isFinite(n) && text.trim() !== '' && digits <= 15) {
+          return `<c r="${ref}"><v>${n}</v></c>`;
+        }
+        return stringCell(ref, text, STYLE_TEXT);
+      }
+      case 'boolean': {
+        const lower = text.toLowerCase();
+        if (lower === 'true' || lower === 'false') {
+          return `<c r="${ref}" t="b"><v>${lower === 'true' ? 1 : 0}</v></c>`;
+        }
+        return stringCell(ref, text);
+      }
+      case 'date':
+      case 'datetime': {
+        const ms = parseDateValue(val);
+        if (ms === null) return stringCell(ref, text);
+        if (kind === 'date') return `<c r="${ref}" s="${STYLE_DATE}"><v>${toSerial(ms)}</v></c>`;
+        const wall = ms + timeZoneOffsetMs(ms, timeZone);
+        return `<c r="${ref}" s="${STYLE_DATETIME}"><v>${toSerial(wall)}</v></c>`;
+      }
+      default:
+        return stringCell(ref, text);
+    }
+  }
+
+  /**
+   * Build a single-sheet XLSX workbook.
+   *
+   * @param {object}   options
+   * @param {Array}    options.columns   - [{ header, type }] in output order.
+   * @param {Iterable} options.rows      - Arrays of cell values, one per row.
+   * @param {string}   [options.sheetName]
+   * @param {string}   [options.timeZone] - For datetime cells: 'UTC', 'local'
+   *                                        or an IANA name.
+   * @returns {Promise<Blob>}
+   */
+  async function buildXlsx({ columns, rows, sheetName = 'Results', timeZone = 'UTC' }) {
+    const letters = columns.map((_, i) => columnLetter(i));
+    const kinds = columns.map((c) => (isIdColumn(c.header) ? 'id' : c.type ?? 'string'));
+
+    const chunks = [];
+    chunks.push(
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews>'
+    );
+    if (columns.length > 0) {
+      chunks.push(`<cols><col min="1" max="${columns.length}" width="18" customWidth="1"/></cols>`);
+    }
+    chunks.push('<sheetData>');
+
+    chunks.push(
+      '<row r="1">' +
+      columns.map((c, i) => stringCell(`${letters[i]}1`, String(c.header), STYLE_HEADER)).join('') +
+      '</row>'
+    );
+
+    let rowNum = 1;
+    for (const values of rows) {
+      rowNum++;
+      if (rowNum > MAX_ROWS) {
+        throw new Error(`Too many rows for one Excel sheet (limit ${MAX_ROWS.toLocaleString()})`);
+      }
+      let xml = `<row r="${rowNum}">`;
+      for (let i = 0; i < columns.length; i++) {
+        xml += cellXml(`${letters[i]}${rowNum}`, values[i], kinds[i], timeZone);
+      }
+      chunks.push(xml + '</row>');
+    }
+
+    chunks.push('</sheetData></worksheet>');
+
+    return window.__SF_DC_ZIP__.buildZip(
+      [
+        { name: '[Content_Types].xml', data: CONTENT_TYPES },
+        { name: '_rels/.rels', data: ROOT_RELS },
+        { name: 'xl/workbook.xml', data: workbookXml(sanitizeSheetName(sheetName)) },
+        { name: 'xl/_rels/workbook.xml.rels', data: WORKBOOK_RELS },
+        { name: 'xl/styles.xml', data: STYLES },
+        { name: 'xl/worksheets/sheet1.xml', data: new Blob(chunks) },
+      ],
+      { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+    );
+  }
+
+  return { buildXlsx, isIdColumn };
+})();
@@ -0,0 +1,160 @@
+/**
+ * content-zip.js — Minimal ZIP writer for SF Query Editor Helper.
+ *
+ * Loaded before content.js in the MAIN "world" (same JS execution context).
+ * Exposes window.__SF_DC_ZIP__.buildZip, used to package XLSX workbooks
+ * (which are ZIP archives of XML parts) and multi-file exports.  Pure JS, no
+ * network.
+ *
+ * Entries are written with the "store" method (no compression), or deflated
+ * with the browser's CompressionStream when asked — falling back to store
+ * where that isn't available or doesn't make the entry smaller.  Each entry
+ * is streamed once, chunk by chunk, for its CRC-32 and compression, and the
+ * archive Blob refers to the entry's Blob (or the deflated one) instead of
+ * copying it, so a multi-GB Fetch-all export never sits in the JS heap.
+ * ZIP64 is not supported, so the archive and every entry must stay below
+ * 4 GiB.
+ */
+window.__SF_DC_ZIP__ = (function () {
+  'use strict';
+
+  const TOO_LARGE = 'Export too large for a ZIP archive (4 GB limit)';
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /** CRC-32 (IEEE) of a byte array; pass the previous result to continue. */
+  function crc32(bytes, crc = 0) {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+  }
+
+  /** MS-DOS date/time pair used by ZIP headers. */
+  function dosDateTime(date) {
+    const time =
+      (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day =
+      ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  function toBlob(data) {
+    if (data instanceof Blob) return data;
+    if (typeof data === 'string' || data instanceof Uint8Array) return new Blob([data]);
+    throw new TypeError('Unsupported ZIP entry data');
+  }
+
+  /** A raw DEFLATE stream (ZIP method 8), or null where unsupported. */
+  function createDeflater() {
+    if (typeof CompressionStream !== 'function') return null;
+    try {
+      return new CompressionStream('deflate-raw');
+    } catch (_) {
+      return null;  // 'deflate-raw' arrived later than CompressionStream itself
+    }
+  }
+
+  /**
+   * Read `blob` once, a chunk at a time: its CRC-32 and, when `deflate` is
+   * set and supported, its raw DEFLATE as a Blob.  Returns { crc, packed }.
+   */
+  async function scanEntry(blob, deflate) {
+    let crc = 0;
+    const tapped = blob.stream().pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        crc = crc32(chunk, crc);
+        controller.enqueue(chunk);
+      },
+    }));
+    const deflater = deflate ? createDeflater() : null;
+    if (deflater) {
+      const packed = await new Response(tapped.pipeThrough(deflater)).blob();
+      return { crc, packed };
+    }
+    const reader = tapped.getReader();
+    while (!(await reader.read()).done);
+    return { crc, packed: null };
+  }
+
+  /**
+   * Build a ZIP archive.
+   *
+   * @param {Array<{ name: string, data: string|Uint8Array|Blob }>} files
+   * @param {object}  [options]
+   * @param {string}  [options.type]    - MIME type of the Blob.
+   * @param {boolean} [options.deflate] - Compress the entries.
+   * @returns {Promise<Blob>}
+   */
+  async function buildZip(files, { type = 'application/zip', deflate = false } = {}) {
+    const encoder = new TextEncoder();
+    const { time, day } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = toBlob(file.data);
+      if (data.size >= 0xffffffff) throw new Error(TOO_LARGE);
+      const { crc, packed } = await scanEntry(data, deflate);
+      const method = packed && packed.size < data.size ? 8 : 0;
+      const body = method === 8 ? packed : data;
+      if (offset + 30 + name.length + body.size >= 0xffffffff) throw new Error(TOO_LARGE);
+
+      // Local file header
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);          // version needed
+      local.setUint16(6, 0x0800, true);      // flags: UTF-8 names
+      local.setUint16(8, method, true);      // method: 0 store, 8 deflate
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, body.size, true);
+      local.setUint32(22, data.size, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);          // extra length
+      parts.push(local, name, body);
+
+      // Central directory record
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);             // version made by
+      cd.setUint16(6, 20, true);             // version needed
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, method, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, day, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, body.size, true);
+      cd.setUint32(24, data.size, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);        // local header offset
+      central.push(cd, name);
+
+      offset += 30 + name.length + body.size;
+    }
+
+    const cdSize = central.reduce((n, part) => n + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type });
+  }
+
+  return { buildZip, crc32 };
+})();
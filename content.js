@@ -3,7 +3,7 @@
  *
  * Responsibilities:
  *  1. Patch window.fetch and XMLHttpRequest BEFORE Salesforce scripts load.
- *  2. Detect DC query responses (Aura envelope) and SOQL query responses
+ *  2. Detect DC query responses (Aura envelope) and SOQL / SOSL responses
  *     (Developer Console / Tooling API).
  *  3. Accumulate DC partial results keyed by queryId; show a Shadow DOM toast
  *     once complete (or after a 1.5-second timeout for silently capped results).
@@ -54,6 +54,19 @@
     );
   }
 
+  /**
+   * REST SOSL responses (`FIND …` in the Query Editor), from /search/:
+   *   { searchRecords: [ { attributes: {type,url}, …fields } ] }
+   * with records of several sObject types in one list.
+   */
+  function isSoslSearchResponse(data, url) {
+    return (
+      Array.isArray(data?.searchRecords) &&
+      typeof url === 'string' &&
+      /\/services\/data\/v[\d.]+\/search\/?\?/.test(url)
+    );
+  }
+
   /** Unwrap the Aura envelope and return the inner returnValue object. */
   function unwrapPayload(data) {
     return data.actions[0].returnValue;
@@ -121,21 +134,241 @@
     return null;
   }
 
-  /** Remove trailing LIMIT / OFFSET clauses so we can append our own. */
-  function stripLimitOffset(sql) {
-    return sql
-      .replace(/\s+OFFSET\s+\d+\s*$/i, '')
-      .replace(/\s+LIMIT\s+\d+\s*$/i, '')
-      .trim();
+  /**
+   * Pull the SOQL text out of a REST query URL (`…/query/?q=SELECT+…`).
+   * Returns null for continuation URLs, which carry no query.
+   */
+  function extractSoqlFromUrl(url) {
+    if (typeof url !== 'string') return null;
+    try {
+      return new URL(url, window.location.origin).searchParams.get('q');
+    } catch (_) {
+      return null;
+    }
   }
 
+  /** Top-level SOQL field names across all records, in first-seen order. */
+  function soqlFieldNames(records) {
+    const names = new Set();
+    for (const record of records) {
+      for (const key of Object.keys(record)) if (key !== 'attributes') names.add(key);
+    }
+    return [...names];
+  }
+
+  /** API version ("66.0") from a REST URL like /services/data/v66.0/query/…, or null. */
+  function extractApiVersion(url) {
+    const m = typeof url === 'string' && url.match(/\/services\/data\/v(\d+\.\d+)\//);
+    return m ? m[1] : null;
+  }
+
+  // Splits DC SQL into its body and the user's own LIMIT / OFFSET (content-sql.js).
+  const {
+    planPagination, pageQuery, keysetQuery, sqlLiteral, countQuery, countedRows,
+  } = window.__SF_DC_SQL__;
+
   // CSV/TSV helpers live in content-csv.js (loaded before this file).
   const {
-    getColumnNames,
+    getColumnNames, getDcColumnSpecs, getSoqlColumnSpecs,
+    getSoqlSubselectNames, soqlShapeVaries, explodeSoqlRecords, splitSoslTypes, withSoslTypeColumn,
+    createCsvWriter,
     buildTSV, buildTSVFromSoqlRecords,
-    triggerDownload, triggerSoqlDownload,
+    triggerDownload, triggerCsvFilesDownload, triggerSoqlDownload, triggerSoqlCsvBlobDownload,
   } = window.__SF_DC_CSV__;
 
+  // Labels history entries with the table a DC query reads from
+  const { extractTableName } = window.__SF_DC_FILENAME__;
+
+  /** Human-readable byte count for progress text (1 KB = 1024 bytes). */
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+    return `${(n / 1024 / 1024 / 1024).toFixed(2)} GB`;
+  }
+
+  /**
+   * Time left for `remaining` rows at the rate so far (`done` rows in
+   * `elapsedMs`), as "about 3 min left"; '' until there is a rate.
+   */
+  function formatEta(done, elapsedMs, remaining) {
+    if (done <= 0 || elapsedMs <= 0 || remaining <= 0) return '';
+    const secs = Math.ceil((remaining * elapsedMs) / done / 1000);
+    if (secs < 60) return `about ${secs}s left`;
+    if (secs < 3600) return `about ${Math.round(secs / 60)} min left`;
+    return `about ${Math.floor(secs / 3600)} h ${Math.round((secs % 3600) / 60)} min left`;
+  }
+
+  // Per-tab result history lives in content-history.js (loaded before this file).
+  const queryHistory = window.__SF_DC_HISTORY__;
+
+  // Export settings relayed from the options page (content-settings.js).
+  const settings = window.__SF_DC_SETTINGS__;
+
+  // Column choices remembered per object / table (content-columns.js).
+  const columnLayouts = window.__SF_DC_COLUMNS__;
+
+  // ── Retry with exponential backoff ─────────────────────────────────────────
+
+  // Retries after the first attempt come from settings.retryLimit (default 5)
+  const RETRY_BASE_MS = 1_000;   // 1 s, 2 s, 4 s, 8 s, 16 s (± 25 % jitter)
+  const RETRY_MAX_MS = 30_000;
+
+  /** 429 Too Many Requests and any 5xx are worth retrying; 4xx are not. */
+  function isTransientStatus(status) {
+    return status === 429 || (status >= 500 && status <= 599);
+  }
+
+  /** setTimeout as a promise; rejects with an AbortError if `signal` fires. */
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const abortError = () => new DOMException('Fetch cancelled', 'AbortError');
+      if (signal?.aborted) { reject(abortError()); return; }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+      }, { once: true });
+    });
+  }
+
+  /** Honour a Retry-After header (seconds or HTTP date), else back off exponentially. */
+  function retryDelay(resp, attempt) {
+    const header = resp?.headers?.get('Retry-After');
+    if (header) {
+      const seconds = Number(header);
+      const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+      if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, RETRY_MAX_MS);
+    }
+    const base = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+    return Math.round(base * (0.75 + Math.random() * 0.5));
+  }
+
+  /**
+   * _origFetch with automatic retry of transient failures (network drops,
+   * 429, 5xx).  Non-transient responses are returned as-is for the caller to
+   * report.  Once the retries are exhausted the last response is returned (or
+   * the last network error rethrown).  `onRetry(message)` is called before
+   * each wait so the toast can say what is happening.  Aborting `init.signal`
+   * rejects with an AbortError straight away, including during a backoff wait.
+   */
+  async function fetchWithRetry(url, init, onRetry) {
+    const retryLimit = settings.get('retryLimit');
+    for (let attempt = 1; ; attempt++) {
+      let resp = null;
+      let reason;
+      try {
+        resp = await _origFetch(url, init);
+        if (!isTransientStatus(resp.status)) return resp;
+        reason = `Server error ${resp.status}`;
+      } catch (networkErr) {
+        if (init.signal?.aborted || attempt > retryLimit) throw networkErr;
+        reason = 'Network error';
+      }
+      if (attempt > retryLimit) return resp;
+
+      const delay = retryDelay(resp, attempt);
+      onRetry?.(`${reason} — retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${retryLimit})…`);
+      await sleep(delay, init.signal);
+    }
+  }
+
+  // ── Fetch all ───────────────────────────────────────────────────────────────
+
+  /**
+   * POST one page of `page.sql` through the captured Aura action, as the page
+   * itself would.  Resolves to { rv } — the action's returnValue — or to
+   * { error } with a user-facing message; never rejects.  With `retry` off a
+   * single attempt is made (parallel windows fall back rather than retry).
+   */
+  async function requestDcPage(auraInfo, page, pageNum, { signal, onRetry, retry = true }) {
+    // Reconstruct the form-encoded Aura body with the paginated SQL
+    const messageJson = JSON.stringify({
+      actions: [{
+        id: `${pageNum};a`,
+        descriptor: auraInfo.descriptor,
+        callingDescriptor: 'UNKNOWN',
+        params: {
+          sql: page.sql,
+          rowLimit: page.size,
+          dataspace: auraInfo.dataspace,
+        },
+      }],
+    });
+
+    const bodyParts = [`message=${encodeURIComponent(messageJson)}`];
+    if (auraInfo.auraContext) bodyParts.push(`aura.context=${auraInfo.auraContext}`);
+    if (auraInfo.auraToken)   bodyParts.push(`aura.token=${auraInfo.auraToken}`);
+
+    const init = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
+      body: bodyParts.join('&'),
+      credentials: 'include',
+      signal,
+    };
+
+    let resp;
+    try {
+      resp = retry
+        ? await fetchWithRetry(auraInfo.auraUrl, init, onRetry)
+        : await _origFetch(auraInfo.auraUrl, init);
+    } catch (networkErr) {
+      return { error: 'Network error: ' + networkErr.message };
+    }
+
+    if (!resp.ok) return { error: `Server error ${resp.status}` };
+
+    let body;
+    try {
+      body = await resp.json();
+    } catch (_) {
+      return { error: 'Failed to parse response as JSON' };
+    }
+
+    // Aura wraps results in actions[0]; check for Aura-level errors
+    const action = body?.actions?.[0];
+    if (!action || action.state === 'ERROR') {
+      const msg = action?.error?.[0]?.message ?? 'Aura request failed';
+      return { error: msg.slice(0, 200) };
+    }
+
+    const rv = action?.returnValue;
+    if (!rv || !Array.isArray(rv.dataRows)) return { error: 'Unexpected response structure' };
+    return { rv };
+  }
+
+  /**
+   * Count the rows of a DC result the server didn't give a row count for:
+   * the captured SQL wrapped in SELECT COUNT(*) (content-sql.js), sent
+   * through the same Aura action.  Resolves to { total } — with the user's
+   * LIMIT and OFFSET applied — or { error }, and sets `acc.totalRows` once
+   * known.  The toast and fetchAllRows share one request per result.
+   */
+  function countDcRows(acc) {
+    acc.countRequest ??= (async () => {
+      let plan;
+      try {
+        plan = planPagination(acc.auraInfo.sql);
+      } catch (e) {
+        return { error: e.message };
+      }
+      const { rv, error } = await requestDcPage(acc.auraInfo, { sql: countQuery(plan), size: 1 }, 0, {});
+      if (error) return { error };
+      const first = rv.dataRows[0];
+      const count = Number((Array.isArray(first?.row) ? first.row : first)?.[0]);
+      if (!Number.isInteger(count) || count < 0) return { error: 'Unexpected COUNT(*) result' };
+
+      const total = countedRows(plan, count);
+      if (acc.totalRows === Infinity) {
+        acc.totalRows = total;
+        if (acc.historyId) queryHistory.update(acc.historyId, { totalRows: total });
+      }
+      return { total };
+    })();
+    return acc.countRequest;
+  }
+
   /**
    * Fetch all rows by re-submitting paginated Aura requests to the same
    * Lightning endpoint that the page itself uses.
@@ -144,11 +377,44 @@
    * same session cookies, no separate bearer token is needed.  We captured
    * the original aura.context and aura.token from the intercepted request and
    * replay them verbatim, swapping only the SQL (with LIMIT/OFFSET appended).
+   * The user's own LIMIT and OFFSET are honoured: pages start at the OFFSET
+   * and stop once the LIMIT is reached (see content-sql.js).  SQL that can't
+   * be rewritten safely is refused through `onError`.
+   *
+   * Rows are not accumulated here: each page is handed to `onPage` (which
+   * serializes it straight into a CSV writer) and then dropped, so memory use
+   * stays bounded by one page regardless of the total row count.  `onDone`
+   * receives only the row count and the metadata.
+   *
+   * Queries ordered by a record id column are paged by keyset (rows after
+   * the last key seen) rather than by OFFSET, which can repeat or skip rows
+   * and slows down page after page.  When the result has a record id column
+   * (the key, in keyset mode) every row's id is checked for repeats, and
+   * `onDone(fetched, metadata, warning)` gets a warning (or null) when any
+   * turned up.  Without one nothing is checked: identical rows may well be
+   * genuine (`SELECT Country__c`).
+   *
+   * When the row count is known, OFFSET pages are requested `dcConcurrency`
+   * at a time (see fetchWindows) and still handed to `onPage` in order;
+   * `onProgress(fetched, total, inFlight)` reports the pages under way.  The
+   * first throttled or failed window switches the cursor to one page at a
+   * time, with the usual retries.
    *
-   * Uses _origFetch to bypass our own patch.
+   * When the response carried no row count, the rows are counted first (see
+   * countDcRows) so progress has a real total; `total` is null if that fails.
+   *
+   * `cursor` ({ offset, fetched, pageNum, metadata, totalRows, keyset, after,
+   * idColumn, repeats, parallel }) is advanced only after a page has been handed to
+   * `onPage`.  Calling again with the same cursor after an error resumes from
+   * the last successful offset.
+   *
+   * Aborting `signal` cancels the in-flight requests, stops the loop and calls
+   * `onCancel(fetched)`; the cursor still points at the first missing row.
+   *
+   * Uses _origFetch (via fetchWithRetry) to bypass our own patch.
    */
-  async function fetchAllRows(acc, { onProgress, onDone, onError }) {
-    const BATCH = 49_999;
+  async function fetchAllRows(acc, cursor, { signal, onPage, onProgress, onRetry, onDone, onError, onCancel }) {
+    const BATCH = settings.get('dcBatchSize');  // ≤ 49 999, the DC per-request cap
     const { auraInfo } = acc;
 
     if (!auraInfo?.auraUrl || !auraInfo?.sql) {
@@ -156,128 +422,270 @@
       return;
     }
 
-    const baseSql = stripLimitOffset(auraInfo.sql);
-    let allRows = [];
-    let allMetadata = acc.metadata;
-    let offset = 0;
-    let totalRows = acc.totalRows === Infinity ? null : acc.totalRows;
-    let pageNum = 0;
-
+    let plan;
     try {
-      while (true) {
-        pageNum++;
-        const paginatedSql = `${baseSql} LIMIT ${BATCH} OFFSET ${offset}`;
-
-        // Reconstruct the form-encoded Aura body with the paginated SQL
-        const messageJson = JSON.stringify({
-          actions: [{
-            id: `${pageNum};a`,
-            descriptor: auraInfo.descriptor,
-            callingDescriptor: 'UNKNOWN',
-            params: {
-              sql: paginatedSql,
-              rowLimit: BATCH,
-              dataspace: auraInfo.dataspace,
-            },
-          }],
-        });
-
-        const bodyParts = [`message=${encodeURIComponent(messageJson)}`];
-        if (auraInfo.auraContext) bodyParts.push(`aura.context=${auraInfo.auraContext}`);
-        if (auraInfo.auraToken)   bodyParts.push(`aura.token=${auraInfo.auraToken}`);
+      plan = planPagination(auraInfo.sql);
+    } catch (e) {
+      onError(e.message);
+      return;
+    }
+    // Never report more rows than the user's LIMIT allows
+    const capTotal = (n) => (plan.limit === null || (n !== null && n < plan.limit) ? n : plan.limit);
 
-        let resp;
-        try {
-          resp = await _origFetch(auraInfo.auraUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' },
-            body: bodyParts.join('&'),
-            credentials: 'include',
-          });
-        } catch (networkErr) {
-          onError('Network error: ' + networkErr.message);
-          return;
+    if (cursor.metadata === undefined) cursor.metadata = acc.metadata;
+    if (cursor.totalRows === undefined) {
+      if (acc.totalRows === Infinity) await countDcRows(acc);
+      cursor.totalRows = capTotal(acc.totalRows === Infinity ? null : acc.totalRows);
+    }
+    // Decided once, so a resumed fetch keeps paging the same way
+    if (cursor.keyset === undefined) cursor.keyset = keysetColumn(plan, cursor.metadata);
+    if (cursor.idColumn === undefined) cursor.idColumn = cursor.keyset ?? recordIdColumn(cursor.metadata);
+    cursor.repeats ??= createRepeatCounter();
+    const { keyset, idColumn } = cursor;
+
+    /**
+     * Hand a fetched page to `onPage` and advance the cursor past it.
+     * Returns true when it was the last page.
+     */
+    const deliver = (rv, page, pageNum, inFlight = 0) => {
+      if (!cursor.metadata && rv.metadata) cursor.metadata = rv.metadata;
+      if (typeof rv.status?.rowCount === 'number') cursor.totalRows = capTotal(rv.status.rowCount);
+
+      const pageRows = rv.dataRows;
+      onPage(pageRows, cursor.metadata ?? acc.metadata);
+      if (idColumn) {
+        for (const entry of pageRows) {
+          const row = Array.isArray(entry?.row) ? entry.row : entry;
+          if (row?.[idColumn.index] != null) cursor.repeats.add(String(row[idColumn.index]));
         }
+      }
+      if (keyset && pageRows.length > 0) {
+        // NULL keys sort last; once there, the rest is paged by OFFSET
+        const last = pageRows[pageRows.length - 1];
+        const key = (Array.isArray(last?.row) ? last.row : last)?.[keyset.index];
+        cursor.after = key == null ? undefined : sqlLiteral(key, keyset.kind);
+      }
+      cursor.pageNum = pageNum;
+      cursor.fetched += pageRows.length;
+      cursor.offset += pageRows.length;
 
-        if (!resp.ok) {
-          onError(`Server error ${resp.status}`);
-          return;
-        }
+      onProgress(cursor.fetched, cursor.totalRows, inFlight);
 
-        let page;
-        try {
-          page = await resp.json();
-        } catch (_) {
-          onError('Failed to parse response as JSON');
-          return;
-        }
-
-        // Aura wraps results in actions[0]; check for Aura-level errors
-        const action = page?.actions?.[0];
-        if (!action || action.state === 'ERROR') {
-          const msg = action?.error?.[0]?.message ?? 'Aura request failed';
-          onError(msg.slice(0, 200));
-          return;
-        }
+      return (
+        pageRows.length < page.size ||
+        (cursor.totalRows !== null && cursor.fetched >= cursor.totalRows) ||
+        pageRows.length === 0
+      );
+    };
 
-        const rv = action?.returnValue;
-        if (!rv || !Array.isArray(rv.dataRows)) {
-          onError('Unexpected response structure');
-          return;
-        }
+    /**
+     * Request the OFFSET windows up to the known total `concurrency` at a
+     * time, delivering them in order.  No more than `concurrency` pages are
+     * ever held: a window is only requested once every window more than
+     * `concurrency` places before it has been delivered.  Returns true when
+     * the last page was delivered, false to carry on one page at a time —
+     * after a failure (the cursor then stays sequential) or a cancel.
+     */
+    const fetchWindows = async (concurrency) => {
+      const windows = [];
+      for (let at = cursor.offset; at < cursor.totalRows; at += BATCH) {
+        const page = pageQuery(plan, at, BATCH);
+        if (!page) break;
+        windows.push(page);
+      }
+      if (windows.length < 2) return false;
 
-        if (!allMetadata && rv.metadata) allMetadata = rv.metadata;
-        if (typeof rv.status?.rowCount === 'number') totalRows = rv.status.rowCount;
+      const controller = new AbortController();
+      const abortAll = () => controller.abort();
+      signal?.addEventListener('abort', abortAll);
+      const firstPageNum = cursor.pageNum + 1;
+      const inFlight = new Map();
+      const ready = new Map();
+      let requested = 0;
+      let delivered = 0;
 
-        const pageRows = rv.dataRows;
-        allRows = allRows.concat(pageRows);
-        offset += pageRows.length;
+      try {
+        while (true) {
+          while (requested < windows.length && requested < delivered + concurrency) {
+            const i = requested++;
+            inFlight.set(i, requestDcPage(auraInfo, windows[i], firstPageNum + i, {
+              signal: controller.signal,
+              retry: false,
+            }).then((result) => ({ i, result })));
+          }
+          onProgress(cursor.fetched, cursor.totalRows, inFlight.size);
+          if (inFlight.size === 0) return false;
+
+          const { i, result } = await Promise.race(inFlight.values());
+          inFlight.delete(i);
+          if (signal?.aborted) return false;
+          if (result.error) {
+            cursor.parallel = false;
+            onRetry(`${result.error} — continuing one page at a time…`);
+            return false;
+          }
+          ready.set(i, result.rv);
+          while (ready.has(delivered)) {
+            const rv = ready.get(delivered);
+            ready.delete(delivered);
+            const last = deliver(rv, windows[delivered], firstPageNum + delivered, inFlight.size);
+            delivered++;
+            if (last) return true;
+          }
+        }
+      } finally {
+        // Windows still in flight are dropped; the cursor is at the first of them
+        controller.abort();
+        signal?.removeEventListener('abort', abortAll);
+      }
+    };
 
-        onProgress(allRows.length, totalRows ?? allRows.length);
+    try {
+      let done = false;
+      const concurrency = settings.get('dcConcurrency');
+      if (!keyset && cursor.parallel !== false && concurrency > 1 && cursor.totalRows !== null) {
+        done = await fetchWindows(concurrency);
+      }
 
-        if (
-          pageRows.length < BATCH ||
-          (totalRows !== null && allRows.length >= totalRows) ||
-          pageRows.length === 0
-        ) {
-          break;
+      while (!done) {
+        if (signal?.aborted) {
+          onCancel(cursor.fetched);
+          return;
         }
+        const page = keyset
+          ? keysetQuery(plan, cursor.after, cursor.offset, BATCH)
+          : pageQuery(plan, cursor.offset, BATCH);
+        if (!page) break;  // the user's LIMIT is reached
+        const pageNum = cursor.pageNum + 1;
+
+        const { rv, error } = await requestDcPage(auraInfo, page, pageNum, { signal, onRetry });
+        if (error) {
+          if (signal?.aborted) onCancel(cursor.fetched);
+          else onError(error);
+          return;
+        }
+        done = deliver(rv, page, pageNum);
       }
     } catch (e) {
       onError('Unexpected error: ' + e.message);
       return;
     }
 
-    onDone(allRows, allMetadata ?? acc.metadata);
+    const repeats = cursor.repeats.count;
+    let warning = null;
+    if (repeats > 0 && keyset) {
+      warning = `${keyset.name} is not unique (${repeats.toLocaleString()} repeated values) — ` +
+        'rows sharing a value across a page boundary may be missing';
+    } else if (repeats > 0) {
+      warning = `${repeats.toLocaleString()} rows repeat an earlier ${idColumn.name} — ` +
+        (plan.ordered ? 'the ORDER BY may not be unique' : 'without an ORDER BY, pages can repeat or skip rows');
+    }
+    onDone(cursor.fetched, cursor.metadata ?? acc.metadata, warning);
+  }
+
+  // Record id columns (`Id`, `ssot__Id__c`, …): the only keys known to be
+  // unique without asking the server.
+  const RECORD_ID_COLUMN = /^(ssot__)?id(__c)?$/i;
+
+  /**
+   * The result column a keyset plan orders by, as { name, index, kind }, or
+   * null when the query can't be keyset-paginated: no single-column ORDER BY,
+   * a key that isn't exactly one result column, one whose values can't be
+   * compared as SQL literals reliably (only numbers and strings are), or one
+   * that may not be unique — `key > last` would skip the rows sharing the
+   * last value of a page, so anything but a record id is paged by OFFSET.
+   */
+  function keysetColumn(plan, metadata) {
+    if (!plan.keyset || !metadata) return null;
+    const want = plan.keyset.column.toLowerCase();
+    const matches = getDcColumnSpecs(metadata)
+      .map((spec, index) => ({ name: spec.header, index, kind: spec.type }))
+      .filter((col) => String(col.name).toLowerCase() === want);
+    if (matches.length !== 1 || !RECORD_ID_COLUMN.test(matches[0].name)) return null;
+    return matches[0].kind === 'number' || matches[0].kind === 'string' ? matches[0] : null;
+  }
+
+  /** The first record id column of DC metadata, as { name, index }, or null. */
+  function recordIdColumn(metadata) {
+    const names = getColumnNames(metadata);
+    const index = names.findIndex((name) => RECORD_ID_COLUMN.test(name));
+    return index === -1 ? null : { name: names[index], index };
+  }
+
+  /**
+   * Counts values seen more than once.  Values are kept as 53-bit hashes
+   * (cyrb53) rather than as strings, but a Set still spends some 45 bytes on
+   * each — about 130 MB for 3 million rows.  A false repeat is vanishingly
+   * unlikely at that size.
+   */
+  function createRepeatCounter() {
+    const seen = new Set();
+    let count = 0;
+    return {
+      add(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+          const ch = text.charCodeAt(i);
+          h1 = Math.imul(h1 ^ ch, 2654435761);
+          h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+        if (seen.has(hash)) count++;
+        else seen.add(hash);
+      },
+      get count() { return count; },
+    };
+  }
+
+  /** Fresh resume cursor for fetchAllRows. */
+  function createDcCursor() {
+    return {
+      offset: 0, fetched: 0, pageNum: 0, metadata: undefined, totalRows: undefined,
+      keyset: undefined, after: undefined, idColumn: undefined, repeats: null, parallel: undefined,
+    };
   }
 
   /**
    * Fetch all SOQL rows by chaining through the REST `nextRecordsUrl` links.
    *
    * Each page is a plain GET to the same origin with session cookies.
-   * Uses _origFetch to bypass our own patch (avoids re-triggering toasts).
+   * `cursor` ({ records, nextUrl }) accumulates the records and remembers the
+   * next link, advancing only after a page has been parsed — calling again
+   * with the same cursor after an error resumes the chain where it stopped.
+   *
+   * Aborting `signal` cancels the in-flight request and calls
+   * `onCancel(fetched)`, keeping the records fetched so far in the cursor.
+   *
+   * Uses _origFetch (via fetchWithRetry) to bypass our own patch (avoids
+   * re-triggering toasts).
    */
-  async function fetchAllSoqlRows(initialRecords, nextRecordsUrl, totalSize, { onProgress, onDone, onError }) {
-    let allRecords = [...initialRecords];
-    let currentNextUrl = nextRecordsUrl;
-
-    onProgress(allRecords.length, totalSize);
+  async function fetchAllSoqlRows(cursor, totalSize, { signal, onProgress, onRetry, onDone, onError, onCancel }) {
+    onProgress(cursor.records.length, totalSize);
 
     try {
-      while (currentNextUrl) {
+      while (cursor.nextUrl) {
+        if (signal?.aborted) {
+          onCancel(cursor.records.length);
+          return;
+        }
         // nextRecordsUrl is a path like /services/data/v66.0/query/01g…-2000
-        const fullUrl = currentNextUrl.startsWith('http')
-          ? currentNextUrl
-          : window.location.origin + currentNextUrl;
+        const fullUrl = cursor.nextUrl.startsWith('http')
+          ? cursor.nextUrl
+          : window.location.origin + cursor.nextUrl;
 
         let resp;
         try {
-          resp = await _origFetch(fullUrl, {
+          resp = await fetchWithRetry(fullUrl, {
             credentials: 'include',
             headers: _soqlAuthHeader ? { Authorization: _soqlAuthHeader } : undefined,
-          });
+            signal,
+          }, onRetry);
         } catch (networkErr) {
-          onError('Network error: ' + networkErr.message);
+          if (signal?.aborted) onCancel(cursor.records.length);
+          else onError('Network error: ' + networkErr.message);
           return;
         }
 
@@ -290,66 +698,282 @@
         try {
           page = await resp.json();
         } catch (_) {
-          onError('Failed to parse response as JSON');
+          if (signal?.aborted) onCancel(cursor.records.length);
+          else onError('Failed to parse response as JSON');
           return;
         }
 
-        allRecords = allRecords.concat(page.records ?? []);
-        currentNextUrl = page.done ? null : (page.nextRecordsUrl ?? null);
-        onProgress(allRecords.length, totalSize);
+        cursor.records = cursor.records.concat(page.records ?? []);
+        cursor.nextUrl = page.done ? null : (page.nextRecordsUrl ?? null);
+        onProgress(cursor.records.length, totalSize);
       }
     } catch (e) {
       onError('Unexpected error: ' + e.message);
       return;
     }
 
-    onDone(allRecords);
+    onDone(cursor.records);
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
   // In-page toast notification (Shadow DOM for CSS isolation)
   // ─────────────────────────────────────────────────────────────────────────────
 
-  let currentToastHost = null;
+  // Toasts stack bottom-right; a new result never replaces one that is fetching
+  const { buildShadow, addToast, removeToast } = window.__SF_DC_TOAST__;
+
+  // "Download as" row shared by both toasts; each button carries its format id.
+  // SOQL toasts add a toggle for keeping the REST `attributes` blocks in JSON.
+  function formatsHtml({ soql = false } = {}) {
+    const keepChecked = settings.get('jsonStripAttributes') ? '' : ' checked';
+    return `
+        <div class="formats">
+          Download as
+          <button class="link-btn" data-format="xlsx">XLSX</button>
+          <button class="link-btn" data-format="json">JSON</button>
+          <button class="link-btn" data-format="ndjson">NDJSON</button>
+          ${soql ? '<label title="Keep each record\'s attributes {type, url} in JSON output"><input type="checkbox" id="keepAttributes"' + keepChecked + ' /> attributes</label>' : ''}
+          <span class="format-status" id="formatStatus"></span>
+        </div>`;
+  }
 
-  function showToast(acc) {
-    // Replace any existing toast
-    if (currentToastHost) {
-      currentToastHost.remove();
-      currentToastHost = null;
+  // Sub-select layout picker, shown on SOQL toasts whose records have
+  // sub-selects.  Relationship names are API names, safe to inline.
+  function subselectModeHtml(relationships) {
+    if (relationships.length === 0) return '';
+    return `
+        <div class="formats">
+          Sub-selects
+          <select id="subselectMode" title="How child records are laid out in CSV and XLSX downloads">
+            <option value="join">joined in one cell</option>
+            ${relationships.map((rel) => `<option value="explode:${rel}">one row per ${rel} record</option>`).join('')}
+            <option value="separate">separate linked files (.zip)</option>
+          </select>
+        </div>`;
+  }
+
+  /** The sub-select picker's choice as triggerSoqlDownload options. */
+  function subselectOptions(shadow) {
+    const value = shadow.getElementById('subselectMode')?.value ?? 'join';
+    return value.startsWith('explode:')
+      ? { subselects: 'explode', relationship: value.slice('explode:'.length) }
+      : { subselects: value };
+  }
+
+  // CSV split picker, shared by both toasts (see createSplitter in
+  // content-csv.js).  Column options are added by createSplitPicker, as DOM
+  // nodes, since headers may hold any character.
+  function splitHtml() {
+    return `
+        <div class="formats">
+          CSV
+          <select id="splitMode" title="Split CSV downloads into several files, delivered as one .zip">
+            <option value="">in one file</option>
+            <option value="rows">split every</option>
+            <optgroup label="one file per value of" id="splitColumns"></optgroup>
+          </select>
+          <input type="number" id="splitRows" min="1" hidden />
+          <span id="splitRowsUnit" hidden>rows</span>
+        </div>`;
+  }
+
+  /**
+   * Wire the split picker for `headers`.  `options()` is the choice as
+   * download options ({ split } or {}); `suggest(total)` picks a split by
+   * rows when a result has more rows than a file should; `lock()` freezes the
+   * choice once a streamed Fetch all has started writing with it.
+   */
+  function createSplitPicker(shadow, headers) {
+    const mode = shadow.getElementById('splitMode');
+    const rowsInput = shadow.getElementById('splitRows');
+    const unit = shadow.getElementById('splitRowsUnit');
+    // The default fits Excel's sheet with one header line; a type row takes
+    // a second.  A value set on the options page is used as is.
+    let maxRows = settings.get('splitMaxRows');
+    if (maxRows === settings.DEFAULTS.splitMaxRows && settings.get('csvTypeRow')) maxRows -= 1;
+    for (const [i, header] of headers.entries()) {
+      shadow.getElementById('splitColumns').append(new Option(header, `column:${i}`));
+    }
+    rowsInput.value = String(maxRows);
+
+    const sync = () => {
+      rowsInput.hidden = mode.value !== 'rows';
+      unit.hidden = rowsInput.hidden;
+    };
+    mode.addEventListener('change', sync);
+
+    return {
+      options() {
+        if (mode.value === 'rows') {
+          const n = rowsInput.valueAsNumber;
+          return { split: { maxRows: Number.isInteger(n) && n > 0 ? n : maxRows } };
+        }
+        if (mode.value.startsWith('column:')) {
+          return { split: { column: headers[Number(mode.value.slice('column:'.length))] } };
+        }
+        return {};
+      },
+      suggest(total) {
+        if (mode.value === '' && Number.isFinite(total) && total > maxRows) {
+          mode.value = 'rows';
+          sync();
+        }
+      },
+      lock() {
+        mode.disabled = true;
+        rowsInput.disabled = true;
+        mode.title = 'Fixed while Fetch all writes its files';
+      },
+    };
+  }
+
+  /** Layout picker for SOSL results that mix sObject types. */
+  function searchTypesHtml(mixedTypes) {
+    if (!mixedTypes) return '';
+    return `
+        <div class="formats">
+          Object types
+          <select id="searchTypes" title="How records of different object types are laid out in downloads">
+            <option value="separate">one file per type (.zip)</option>
+            <option value="column">one file with an sObjectType column</option>
+          </select>
+        </div>`;
+  }
+
+  /** The object-type picker's choice as triggerSoqlDownload options. */
+  function searchOptions(shadow) {
+    return { searchTypes: shadow.getElementById('searchTypes')?.value ?? null };
+  }
+
+  /**
+   * Run a toast's download from `button`: the toast closes once `download()`
+   * resolves, or the error is shown inline and the buttons come back.  Split
+   * and multi-file exports are built asynchronously and can still fail
+   * (too many split files, ZIP limits), so the promise is never dropped.
+   */
+  async function downloadThenClose(shadow, button, download, animateClose) {
+    const status = shadow.getElementById('formatStatus');
+    status.classList.remove('error');
+    status.textContent = 'Building…';
+    button.disabled = true;
+    setFormatButtonsDisabled(shadow, true);
+    try {
+      await download();
+      animateClose();
+    } catch (e) {
+      status.textContent = e.message;
+      status.classList.add('error');
+      button.disabled = false;
+      setFormatButtonsDisabled(shadow, false);
+    }
+  }
+
+  /**
+   * Wire the "Download as" buttons.  `exportAs(format)` builds and triggers the
+   * download; the toast closes once it resolves, or the error is shown inline.
+   */
+  function wireFormatButtons(shadow, exportAs, animateClose) {
+    for (const btn of shadow.querySelectorAll('[data-format]')) {
+      btn.addEventListener('click', () =>
+        downloadThenClose(shadow, btn, () => exportAs(btn.dataset.format), animateClose));
     }
+  }
 
-    const isLimited = acc.returnedRows < acc.totalRows && acc.totalRows !== Infinity;
-    const canFetchAll = isLimited && acc.auraInfo != null;
+  function setFormatButtonsDisabled(shadow, disabled) {
+    for (const btn of shadow.querySelectorAll('[data-format]')) btn.disabled = disabled;
+  }
+
+  /**
+   * Show or hide the preview grid under a toast, mounting it on first use.
+   * The grid keeps its sort/filter state while hidden, so downloads keep
+   * using the chosen view.  Returns the (possibly new) grid controller.
+   */
+  function togglePreview(shadow, grid, specs, rows) {
+    const wrap = shadow.getElementById('previewWrap');
+    const show = wrap.hidden;
+    wrap.hidden = !show;
+    shadow.getElementById('toast').classList.toggle('expanded', show);
+    shadow.getElementById('preview').textContent = show ? 'Hide preview' : 'Preview';
+    if (show && !grid) grid = window.__SF_DC_GRID__.mount(wrap, { specs, rows });
+    return grid;
+  }
+
+  /**
+   * Show or hide the column picker under a toast, mounting it on first use.
+   * Layouts are read again at export time, so a saved change applies to the
+   * next download or copy.  Returns the (possibly new) picker controller.
+   */
+  function toggleColumns(shadow, picker, options) {
+    const wrap = shadow.getElementById('columnsWrap');
+    const show = wrap.hidden;
+    wrap.hidden = !show;
+    shadow.getElementById('columns').textContent = show ? 'Hide columns' : 'Columns';
+    if (show && !picker) picker = columnLayouts.mountPicker(wrap, options);
+    return picker;
+  }
+
+  function showToast(acc) {
+    const totalUnknown = acc.totalRows === Infinity;
+    const isLimited = acc.returnedRows < acc.totalRows && !totalUnknown;
+    // Fetch all is only offered for SQL that can be paginated safely; the
+    // user's own LIMIT caps the row count it promises.
+    let pagination = null;
+    let paginationError = null;
+    if ((isLimited || totalUnknown) && acc.auraInfo != null) {
+      try {
+        pagination = planPagination(acc.auraInfo.sql);
+      } catch (e) {
+        paginationError = e.message;
+      }
+    }
+    // Without a row count from the server the rows are counted (countDcRows);
+    // until the count is back the result may be capped, so Fetch all is offered
+    const counting = totalUnknown && pagination !== null;
+    const canFetchAll = (isLimited && acc.auraInfo != null) || counting;
+    const fetchTotal = pagination?.limit != null ? Math.min(acc.totalRows, pagination.limit) : acc.totalRows;
+    const fetchLabel = (total) => `Fetch all ${Number.isFinite(total) ? total.toLocaleString() + ' ' : ''}rows`;
 
     const host = document.createElement('div');
     host.setAttribute('data-sf-dc-csv-exporter', '');
-    document.body.appendChild(host);
 
     const shadow = host.attachShadow({ mode: 'open' });
     const columns = getColumnNames(acc.metadata);
 
-    const actionsHtml = isLimited
+    const actionsHtml = isLimited || counting
       ? `
-        <div class="warning-banner">
-          Showing ${acc.returnedRows.toLocaleString()} of ${acc.totalRows.toLocaleString()} rows &mdash; query limit hit
-        </div>
+        <div class="warning-banner"><span id="bannerText">${
+          counting
+            ? `Showing ${acc.returnedRows.toLocaleString()} rows &mdash; counting all rows…`
+            : `Showing ${acc.returnedRows.toLocaleString()} of ${acc.totalRows.toLocaleString()} rows &mdash; query limit hit`
+        }</span></div>
         <div class="actions">
-          ${canFetchAll ? `<button class="btn btn-fetch-all" id="fetchAll">Fetch all ${acc.totalRows.toLocaleString()} rows</button>` : ''}
+          ${canFetchAll ? `<button class="btn btn-fetch-all" id="fetchAll"${paginationError ? ' disabled' : ''}>${fetchLabel(counting ? null : fetchTotal)}</button>` : ''}
           <button class="btn btn-download-limited" id="download">Download ${acc.returnedRows.toLocaleString()} rows</button>
           <button class="btn btn-copy" id="copy">Copy ${acc.returnedRows.toLocaleString()} rows</button>
+          <button class="btn btn-copy" id="columns">Columns</button>
+          <button class="btn btn-copy" id="preview">Preview</button>
           <button class="btn btn-dismiss" id="dismiss">Dismiss</button>
         </div>
+        ${formatsHtml()}
+        ${splitHtml()}
         <div class="progress-wrap" id="progressWrap" style="display:none">
           <div class="progress-bar-track"><div class="progress-bar-fill" id="progressFill"></div></div>
           <div class="progress-text" id="progressText"></div>
+          <div class="progress-actions">
+            <button class="btn btn-dismiss btn-small" id="cancelFetch">Cancel</button>
+            <button class="btn btn-download-limited btn-small" id="downloadPartial" hidden>Download partial</button>
+          </div>
         </div>`
       : `
         <div class="actions">
           <button class="btn btn-download" id="download">Download CSV</button>
           <button class="btn btn-copy" id="copy">Copy</button>
+          <button class="btn btn-copy" id="columns">Columns</button>
+          <button class="btn btn-copy" id="preview">Preview</button>
           <button class="btn btn-dismiss" id="dismiss">Dismiss</button>
-        </div>`;
+        </div>
+        ${formatsHtml()}
+        ${splitHtml()}`;
 
     const title = '&#x1F4CA; Query Result Ready';
     const meta = `
@@ -358,29 +982,57 @@
       ${columns.length} column${columns.length !== 1 ? 's' : ''}
       ${acc.queryId ? `&bull; <code style="font-size:11px">${acc.queryId.slice(-12)}</code>` : ''}
     `;
-    window.__SF_DC_TOAST__.buildShadow(shadow, { title, meta, actionsHtml });
-
-    currentToastHost = host;
+    buildShadow(shadow, { title, meta, actionsHtml });
 
     const animateClose = (then) => {
-      _escapeDismiss = null;
       const toastEl = shadow.getElementById('toast');
       toastEl.classList.add('closing');
       toastEl.addEventListener('animationend', () => {
-        host.remove();
-        if (currentToastHost === host) currentToastHost = null;
+        removeToast(host);
         if (then) then();
       }, { once: true });
     };
-    _escapeDismiss = animateClose;
+    addToast(host, () => animateClose());
 
     shadow.getElementById('close').addEventListener('click', () => animateClose());
     shadow.getElementById('dismiss').addEventListener('click', () => animateClose());
-    shadow.getElementById('download').addEventListener('click', () => {
-      animateClose(() => triggerDownload(acc));
+    shadow.getElementById('history').addEventListener('click', () => openHistoryPanel());
+
+    // The preview grid's sorted/filtered view, when one is active, is what
+    // Download and Copy export.
+    let grid = null;
+    const viewAcc = () => {
+      const indices = grid?.getViewIndices();
+      if (!indices) return acc;
+      return { ...acc, dataRows: indices.map((i) => acc.dataRows[i]), returnedRows: indices.length };
+    };
+    shadow.getElementById('preview').addEventListener('click', () => {
+      grid = togglePreview(shadow, grid, getDcColumnSpecs(acc.metadata), acc.dataRows);
     });
+
+    const columnsScope = columnLayouts.dcScope(acc.auraInfo?.sql);
+    let picker = null;
+    shadow.getElementById('columns').addEventListener('click', () => {
+      picker = toggleColumns(shadow, picker, {
+        headers: columns,
+        scope: columnsScope,
+        name: extractTableName(acc.auraInfo?.sql) ?? 'this table',
+      });
+    });
+
+    const splitPicker = createSplitPicker(shadow, columns);
+    splitPicker.suggest(acc.totalRows);
+
+    const downloadBtn = shadow.getElementById('download');
+    downloadBtn.addEventListener('click', () => {
+      const exportAcc = viewAcc();
+      const options = splitPicker.options();
+      downloadThenClose(shadow, downloadBtn, () => triggerDownload(exportAcc, options), animateClose);
+    });
+    wireFormatButtons(shadow, (format) => triggerDownload(viewAcc(), { format }), animateClose);
     shadow.getElementById('copy').addEventListener('click', () => {
-      navigator.clipboard.writeText(buildTSV(acc)).then(() => {
+      const layout = columnLayouts.load(columnsScope);
+      navigator.clipboard.writeText(buildTSV(viewAcc(), { layout })).then(() => {
         const copyBtn = shadow.getElementById('copy');
         copyBtn.textContent = '✓ Copied!';
         copyBtn.disabled = true;
@@ -394,75 +1046,213 @@
     });
 
     const fetchAllBtn = shadow.getElementById('fetchAll');
-    if (fetchAllBtn) {
+    if (fetchAllBtn && paginationError) {
+      fetchAllBtn.title = paginationError;
+      shadow.querySelector('.warning-banner').append(document.createElement('br'), paginationError);
+    } else if (fetchAllBtn) {
+      const orderNote = [
+        document.createElement('br'),
+        document.createTextNode('No ORDER BY — pages may repeat or skip rows. Order by a unique column for a reliable export.'),
+      ];
+      if (!pagination.ordered) shadow.querySelector('.warning-banner').append(...orderNote);
+
+      let started = false;
+      if (counting) {
+        countDcRows(acc).then(({ total, error }) => {
+          const bannerText = shadow.getElementById('bannerText');
+          const shown = acc.returnedRows.toLocaleString();
+          if (error) {
+            bannerText.textContent = `Showing ${shown} rows — couldn't count all rows: ${error}`;
+          } else if (total <= acc.returnedRows) {
+            bannerText.textContent = `All ${total.toLocaleString()} rows are shown`;
+            if (!started) {
+              fetchAllBtn.hidden = true;
+              for (const node of orderNote) node.remove();
+            }
+          } else {
+            bannerText.textContent = `Showing ${shown} of ${total.toLocaleString()} rows — query limit hit`;
+            if (!started) {
+              fetchAllBtn.textContent = fetchLabel(total);
+              splitPicker.suggest(total);
+            }
+          }
+        });
+      }
+
+      // Pages are serialized into the writer as they arrive; the rows
+      // themselves are never kept (see fetchAllRows).  Both outlive a failed
+      // or cancelled attempt so "Resume" continues from the last successful
+      // page and "Download partial" can export what was fetched so far.
+      let writer = null;
+      let controller = null;
+      const cursor = createDcCursor();
+
+      const cancelBtn = shadow.getElementById('cancelFetch');
+      const partialBtn = shadow.getElementById('downloadPartial');
+
+      // Shared by onError and onCancel: unlock the toast and offer a partial export
+      const stopFetch = (message, isError) => {
+        const pt = shadow.getElementById('progressText');
+        pt.textContent = message;
+        pt.classList.toggle('error', isError);
+        // Re-enable fallback controls
+        shadow.getElementById('download').disabled = false;
+        shadow.getElementById('copy').disabled = false;
+        shadow.getElementById('dismiss').disabled = false;
+        shadow.getElementById('close').disabled = false;
+        setFormatButtonsDisabled(shadow, false);
+        cancelBtn.hidden = true;
+        if (cursor.fetched > 0 && writer) {
+          partialBtn.textContent = `Download partial (${cursor.fetched.toLocaleString()} rows)`;
+          partialBtn.hidden = false;
+        }
+        fetchAllBtn.textContent = cursor.fetched > 0
+          ? `Resume from row ${(cursor.offset + 1).toLocaleString()}`
+          : 'Retry';
+        fetchAllBtn.disabled = false;
+      };
+
+      cancelBtn.addEventListener('click', () => {
+        cancelBtn.disabled = true;
+        controller?.abort();
+      });
+
+      partialBtn.addEventListener('click', () => {
+        const total = cursor.totalRows ?? acc.totalRows;
+        const label = `partial-${cursor.fetched}-of-${Number.isFinite(total) ? total : 'unknown'}`;
+        const files = writer.toFiles();
+        const rows = cursor.fetched;
+        downloadThenClose(shadow, partialBtn, () => triggerCsvFilesDownload(acc, files, { rows, label }), animateClose);
+      });
+
       fetchAllBtn.addEventListener('click', () => {
+        started = true;
+        const startedAt = Date.now();
+        const startRows = cursor.fetched;
         // Lock UI while fetching
         fetchAllBtn.disabled = true;
         shadow.getElementById('download').disabled = true;
         shadow.getElementById('copy').disabled = true;
         shadow.getElementById('dismiss').disabled = true;
         shadow.getElementById('close').disabled = true;
+        setFormatButtonsDisabled(shadow, true);
         shadow.getElementById('progressWrap').style.display = 'block';
-
-        fetchAllRows(acc, {
-          onProgress(fetched, total) {
+        shadow.getElementById('progressText').classList.remove('error');
+        partialBtn.hidden = true;
+        cancelBtn.hidden = false;
+        cancelBtn.disabled = false;
+        controller = new AbortController();
+        // The writer splits as chosen now, for this and any resumed attempt
+        const writerOptions = { layout: columnLayouts.load(columnsScope), ...splitPicker.options() };
+        splitPicker.lock();
+
+        fetchAllRows(acc, cursor, {
+          signal: controller.signal,
+          onPage(pageRows, metadata) {
+            // The column layout is fixed for the whole file when it starts
+            if (!writer) writer = createCsvWriter(metadata, writerOptions);
+            writer.writeRows(pageRows);
+          },
+          onProgress(fetched, total, inFlight) {
+            // total is null when the rows couldn't be counted
             const pct = total > 0 ? Math.min(100, Math.round((fetched / total) * 100)) : 0;
+            const eta = total !== null ? formatEta(fetched - startRows, Date.now() - startedAt, total - fetched) : '';
             shadow.getElementById('progressFill').style.width = pct + '%';
             shadow.getElementById('progressText').textContent =
-              `Fetching… ${fetched.toLocaleString()} / ${total.toLocaleString()} rows (${pct}%)`;
+              (total !== null
+                ? `Fetching… ${fetched.toLocaleString()} / ${total.toLocaleString()} rows (${pct}%)`
+                : `Fetching… ${fetched.toLocaleString()} rows`) +
+              (inFlight > 1 ? `, ${inFlight} pages in flight` : '') +
+              (eta ? `, ${eta}` : '') +
+              ` — streaming to CSV, ${formatBytes(writer?.byteLength ?? 0)} written, rows not kept in memory`;
           },
-          onDone(allRows, metadata) {
-            const fullAcc = {
-              queryId: acc.queryId,
-              dataRows: allRows,
-              metadata: metadata,
-              returnedRows: allRows.length,
-              totalRows: allRows.length,
-            };
+          onRetry(message) {
+            shadow.getElementById('progressText').textContent = message;
+          },
+          async onDone(rowCount, metadata, warning) {
+            cancelBtn.hidden = true;
             shadow.getElementById('progressFill').style.width = '100%';
-            shadow.getElementById('progressText').textContent =
-              `✓ ${allRows.length.toLocaleString()} rows ready — downloading…`;
-            triggerDownload(fullAcc);
+            let problem = warning && `✓ ${rowCount.toLocaleString()} rows downloaded — ⚠ ${warning}`;
+            try {
+              if (!writer) writer = createCsvWriter(metadata, writerOptions);
+              shadow.getElementById('progressText').textContent =
+                `✓ ${rowCount.toLocaleString()} rows ready (${formatBytes(writer.byteLength)}) — downloading…`;
+              const files = writer.toFiles();
+              if (acc.historyId) {
+                // The streamed CSV stays downloadable from the history panel
+                // until the page is reloaded; its rows were never materialized.
+                queryHistory.update(acc.historyId, {
+                  live: { auraInfo: acc.auraInfo ?? null, fullCsvFiles: files, fullCsvRows: rowCount },
+                });
+              }
+              await triggerCsvFilesDownload(acc, files, { rows: rowCount });
+            } catch (e) {
+              problem = `${rowCount.toLocaleString()} rows fetched, but the download failed — ${e.message}`;
+            }
+            if (problem) {
+              // Stay open so the problem can be read; only closing is left
+              const pt = shadow.getElementById('progressText');
+              pt.textContent = problem;
+              pt.classList.add('error');
+              shadow.getElementById('dismiss').disabled = false;
+              shadow.getElementById('close').disabled = false;
+              return;
+            }
             setTimeout(() => animateClose(), 1_500);
           },
           onError(message) {
-            shadow.getElementById('progressFill').style.width = '0%';
-            const pt = shadow.getElementById('progressText');
-            pt.textContent = message;
-            pt.classList.add('error');
-            // Re-enable fallback controls
-            shadow.getElementById('download').disabled = false;
-            shadow.getElementById('copy').disabled = false;
-            shadow.getElementById('dismiss').disabled = false;
-            shadow.getElementById('close').disabled = false;
-            fetchAllBtn.textContent = 'Retry';
-            fetchAllBtn.disabled = false;
+            stopFetch(cursor.fetched > 0
+              ? `${message} — ${cursor.fetched.toLocaleString()} rows kept, Resume continues from there`
+              : message, true);
+          },
+          onCancel(fetched) {
+            stopFetch(`Cancelled — ${fetched.toLocaleString()} rows fetched so far`, false);
           },
         });
       });
     }
   }
 
+  const BULK_CSV_TITLE = 'Salesforce writes this CSV: every selected field in SELECT order, in its own value formats. '
+    + 'Saved columns, value formatting, the type row and decimal comma don\'t apply.';
+
+  // Settings whose effect a Bulk API CSV can't have: Salesforce writes ISO
+  // date-times in UTC, true/false and blanks — the defaults.
+  const BULK_FIXED_FORMATS = ['dateTimeFormat', 'dateFormat', 'timeZone', 'booleanFormat', 'nullToken'];
+
+  const SHAPE_VARIES_TITLE = 'Some rows have fields others lack (TYPEOF or a polymorphic lookup). '
+    + 'Every field gets a column, blank in the rows without it.';
+
   /**
    * In-page toast for REST SOQL query results (Developer Console, etc.).
-   * Same Shadow DOM approach as showToast; data is the raw SOQL response object.
+   * Same Shadow DOM approach as showToast; data is the raw SOQL response object,
+   * optionally extended with the `query` text and the `historyId` it was
+   * recorded under.
    */
   function showSoqlToast(data) {
-    if (currentToastHost) {
-      currentToastHost.remove();
-      currentToastHost = null;
-    }
-
     const { records, totalSize, nextRecordsUrl } = data;
-    const columns = records.length > 0
-      ? Object.keys(records[0]).filter((k) => k !== 'attributes')
-      : [];
+    // The Dev Console preflight's metadata, when it was seen (see takeSoqlColumns)
+    const columnMetadata = data.columnMetadata ?? null;
+    // SOSL results mix sObject types; the type picker decides the layout
+    const searchTypes = data.sosl ? splitSoslTypes(records) : [];
+    const mixedTypes = searchTypes.length > 1;
+    const columns = columnMetadata ?? soqlFieldNames(records);
+    // TYPEOF and polymorphic lookups: rows with fields other rows lack
+    const shapeVaries = !mixedTypes && soqlShapeVaries(records);
     const isLimited = !data.done;
     const canFetchAll = isLimited && !!nextRecordsUrl;
+    const relationships = getSoqlSubselectNames(records);
+    // Bulk API 2.0 needs the original query text and doesn't serve Tooling API
+    // objects; parent-to-child sub-selects are rejected by the job, so say so up front.
+    // Only SELECT-list sub-selects count — semi-joins and anti-joins
+    // (`WHERE Id IN (SELECT …)`) are fine.  The preflight metadata flags them
+    // even when no record on this page has children.
+    const canBulk = isLimited && !!data.query && !!data.apiVersion && !data.tooling;
+    const hasSubquery = canBulk && (relationships.length > 0 ||
+      !!columnMetadata?.some((col) => col?.aggregate && col.joinColumns?.length > 0));
 
     const host = document.createElement('div');
     host.setAttribute('data-sf-dc-csv-exporter', '');
-    document.body.appendChild(host);
 
     const shadow = host.attachShadow({ mode: 'open' });
 
@@ -473,51 +1263,119 @@
         </div>
         <div class="actions">
           ${canFetchAll ? `<button class="btn btn-fetch-all" id="fetchAll">Fetch all ${totalSize.toLocaleString()} rows</button>` : ''}
+          ${canBulk ? `<button class="btn btn-fetch-all" id="bulkExport"${hasSubquery ? ' disabled title="Bulk API 2.0 does not support sub-selects"' : ` title="${BULK_CSV_TITLE}"`}>Export via Bulk API</button>` : ''}
           <button class="btn btn-download-limited" id="download">Download ${records.length.toLocaleString()} rows</button>
           <button class="btn btn-copy" id="copy">Copy ${records.length.toLocaleString()} rows</button>
+          <button class="btn btn-copy" id="columns">Columns</button>
+          <button class="btn btn-copy" id="preview">Preview</button>
           <button class="btn btn-dismiss" id="dismiss">Dismiss</button>
         </div>
+        ${formatsHtml({ soql: true })}
+        ${subselectModeHtml(relationships)}
+        ${splitHtml()}
         <div class="progress-wrap" id="progressWrap" style="display:none">
           <div class="progress-bar-track"><div class="progress-bar-fill" id="progressFill"></div></div>
           <div class="progress-text" id="progressText"></div>
+          <div class="progress-actions">
+            <button class="btn btn-dismiss btn-small" id="cancelFetch">Cancel</button>
+            <button class="btn btn-download-limited btn-small" id="downloadPartial" hidden>Download partial</button>
+          </div>
         </div>`
       : `
         <div class="actions">
           <button class="btn btn-download" id="download">Download CSV</button>
           <button class="btn btn-copy" id="copy">Copy</button>
+          <button class="btn btn-copy" id="columns"${mixedTypes ? ' hidden' : ''}>Columns</button>
+          <button class="btn btn-copy" id="preview">Preview</button>
           <button class="btn btn-dismiss" id="dismiss">Dismiss</button>
-        </div>`;
-
-    const title = '&#x1F4CA; SOQL Query Result Ready';
+        </div>
+        ${formatsHtml({ soql: true })}
+        ${subselectModeHtml(relationships)}
+        ${searchTypesHtml(mixedTypes)}
+        ${splitHtml()}`;
+
+    const title = data.sosl ? '&#x1F50E; SOSL Search Result Ready' : '&#x1F4CA; SOQL Query Result Ready';
+    const typesText = mixedTypes
+      ? searchTypes.map((t) => `${t.name} ${t.records.length.toLocaleString()}`).join(', ')
+      : records[0]?.attributes?.type;
     const meta = `
       ${records.length.toLocaleString()} row${records.length !== 1 ? 's' : ''}
       &bull;
       ${columns.length} column${columns.length !== 1 ? 's' : ''}
-      ${records[0]?.attributes?.type ? `&bull; <code style="font-size:11px">${records[0].attributes.type}</code>` : ''}
+      ${typesText ? `&bull; <code style="font-size:11px">${typesText}</code>` : ''}
+      ${shapeVaries ? `&bull; <span title="${SHAPE_VARIES_TITLE}">&#x26A0; fields vary by row</span>` : ''}
     `;
-    window.__SF_DC_TOAST__.buildShadow(shadow, { title, meta, actionsHtml });
-
-    currentToastHost = host;
+    buildShadow(shadow, { title, meta, actionsHtml });
 
     const animateClose = (then) => {
-      _escapeDismiss = null;
       const toastEl = shadow.getElementById('toast');
       toastEl.classList.add('closing');
       toastEl.addEventListener('animationend', () => {
-        host.remove();
-        if (currentToastHost === host) currentToastHost = null;
+        removeToast(host);
         if (then) then();
       }, { once: true });
     };
-    _escapeDismiss = animateClose;
+    addToast(host, () => animateClose());
 
     shadow.getElementById('close').addEventListener('click', () => animateClose());
     shadow.getElementById('dismiss').addEventListener('click', () => animateClose());
-    shadow.getElementById('download').addEventListener('click', () => {
-      animateClose(() => triggerSoqlDownload(records));
+    shadow.getElementById('history').addEventListener('click', () => openHistoryPanel());
+
+    let grid = null;
+    const viewRecords = () => {
+      const indices = grid?.getViewIndices();
+      return indices ? indices.map((i) => records[i]) : records;
+    };
+    shadow.getElementById('preview').addEventListener('click', () => {
+      // Mixed SOSL types are previewed and copied as one table, typed per row
+      const rows = mixedTypes ? withSoslTypeColumn(records) : records;
+      grid = togglePreview(shadow, grid, getSoqlColumnSpecs(rows, columnMetadata), rows);
+    });
+
+    const objectType = records[0]?.attributes?.type ?? null;
+    const columnsScope = columnLayouts.soqlScope(objectType);
+    let picker = null;
+    shadow.getElementById('columns').addEventListener('click', () => {
+      picker = toggleColumns(shadow, picker, {
+        headers: getSoqlColumnSpecs(records, columnMetadata).map((s) => s.header),
+        scope: columnsScope,
+        name: objectType ?? 'these records',
+      });
+    });
+
+    const splitPicker = createSplitPicker(shadow, (mixedTypes
+      ? getSoqlColumnSpecs(withSoslTypeColumn(records))
+      : getSoqlColumnSpecs(records, columnMetadata)).map((s) => s.header));
+    splitPicker.suggest(totalSize);
+
+    const downloadBtn = shadow.getElementById('download');
+    downloadBtn.addEventListener('click', () => {
+      const exportRecords = viewRecords();
+      const options = {
+        query: data.query,
+        columns: columnMetadata,
+        ...subselectOptions(shadow),
+        ...searchOptions(shadow),
+        ...splitPicker.options(),
+      };
+      downloadThenClose(shadow, downloadBtn, () => triggerSoqlDownload(exportRecords, options), animateClose);
     });
+    wireFormatButtons(shadow, (format) => triggerSoqlDownload(viewRecords(), {
+      format,
+      query: data.query,
+      columns: columnMetadata,
+      ...subselectOptions(shadow),
+      ...searchOptions(shadow),
+      stripAttributes: !shadow.getElementById('keepAttributes').checked,
+    }), animateClose);
     shadow.getElementById('copy').addEventListener('click', () => {
-      navigator.clipboard.writeText(buildTSVFromSoqlRecords(records)).then(() => {
+      const { subselects, relationship } = subselectOptions(shadow);
+      let copyRecords = subselects === 'explode'
+        ? explodeSoqlRecords(viewRecords(), relationship)
+        : viewRecords();
+      if (mixedTypes) copyRecords = withSoslTypeColumn(copyRecords);
+      const layout = mixedTypes ? null : columnLayouts.load(columnsScope);
+      navigator.clipboard.writeText(buildTSVFromSoqlRecords(copyRecords, { layout, columns: columnMetadata })).then(() => {
         const copyBtn = shadow.getElementById('copy');
         copyBtn.textContent = '✓ Copied!';
         copyBtn.disabled = true;
@@ -530,45 +1388,214 @@
       });
     });
 
+    // Fetch all and Bulk export share the progress bar and its Cancel button;
+    // only one of them runs at a time.
     const fetchAllBtn = shadow.getElementById('fetchAll');
+    const bulkBtn = shadow.getElementById('bulkExport');
+    const cancelBtn = shadow.getElementById('cancelFetch');
+    const partialBtn = shadow.getElementById('downloadPartial');
+    let controller = null;
+
+    cancelBtn?.addEventListener('click', () => {
+      cancelBtn.disabled = true;
+      controller?.abort();
+    });
+
+    // Lock (or unlock) every other control while a long export runs
+    const setBusy = (busy) => {
+      for (const id of ['download', 'copy', 'dismiss', 'close']) {
+        shadow.getElementById(id).disabled = busy;
+      }
+      setFormatButtonsDisabled(shadow, busy);
+      if (fetchAllBtn) fetchAllBtn.disabled = busy;
+      if (bulkBtn) bulkBtn.disabled = busy || hasSubquery;
+    };
+
+    const showProgress = () => {
+      shadow.getElementById('progressWrap').style.display = 'block';
+      shadow.getElementById('progressText').classList.remove('error');
+      partialBtn.hidden = true;
+      cancelBtn.hidden = false;
+      cancelBtn.disabled = false;
+      controller = new AbortController();
+    };
+
     if (fetchAllBtn) {
+      // Survives a failed or cancelled attempt so "Resume" continues the
+      // nextRecordsUrl chain and "Download partial" has the records so far.
+      const cursor = { records: [...records], nextUrl: nextRecordsUrl };
+
+      const stopFetch = (message, isError) => {
+        const kept = cursor.records.length;
+        const pt = shadow.getElementById('progressText');
+        pt.textContent = message;
+        pt.classList.toggle('error', isError);
+        setBusy(false);
+        cancelBtn.hidden = true;
+        partialBtn.textContent = `Download partial (${kept.toLocaleString()} rows)`;
+        partialBtn.hidden = false;
+        fetchAllBtn.textContent = `Resume from row ${(kept + 1).toLocaleString()}`;
+      };
+
+      partialBtn.addEventListener('click', () => {
+        const partial = cursor.records;
+        const label = `partial-${partial.length}-of-${totalSize}`;
+        const options = {
+          label,
+          query: data.query,
+          columns: columnMetadata,
+          ...subselectOptions(shadow),
+          ...splitPicker.options(),
+        };
+        downloadThenClose(shadow, partialBtn, () => triggerSoqlDownload(partial, options), animateClose);
+      });
+
       fetchAllBtn.addEventListener('click', () => {
-        fetchAllBtn.disabled = true;
-        shadow.getElementById('download').disabled = true;
-        shadow.getElementById('copy').disabled = true;
-        shadow.getElementById('dismiss').disabled = true;
-        shadow.getElementById('close').disabled = true;
-        shadow.getElementById('progressWrap').style.display = 'block';
+        setBusy(true);
+        showProgress();
 
-        fetchAllSoqlRows(records, nextRecordsUrl, totalSize, {
+        fetchAllSoqlRows(cursor, totalSize, {
+          signal: controller.signal,
           onProgress(fetched, total) {
             const pct = total > 0 ? Math.min(100, Math.round((fetched / total) * 100)) : 0;
             shadow.getElementById('progressFill').style.width = pct + '%';
             shadow.getElementById('progressText').textContent =
               `Fetching… ${fetched.toLocaleString()} / ${total.toLocaleString()} rows (${pct}%)`;
           },
-          onDone(allRecords) {
+          onRetry(message) {
+            shadow.getElementById('progressText').textContent = message;
+          },
+          async onDone(allRecords) {
+            cancelBtn.hidden = true;
             shadow.getElementById('progressFill').style.width = '100%';
+            // Later pages can bring fields the first one didn't show
+            const varied = !shapeVaries && soqlShapeVaries(allRecords) ? ' — fields vary by row, all kept' : '';
             shadow.getElementById('progressText').textContent =
-              `✓ ${allRecords.length.toLocaleString()} rows ready — downloading…`;
-            triggerSoqlDownload(allRecords);
+              `✓ ${allRecords.length.toLocaleString()} rows ready${varied} — downloading…`;
+            if (data.historyId) {
+              queryHistory.update(data.historyId, {
+                rowCount: allRecords.length,
+                data: { records: allRecords, totalSize, done: true, nextRecordsUrl: null, columnMetadata },
+              });
+            }
+            try {
+              await triggerSoqlDownload(allRecords, {
+                query: data.query,
+                columns: columnMetadata,
+                ...subselectOptions(shadow),
+                ...splitPicker.options(),
+              });
+            } catch (e) {
+              // The records are kept: Download retries with other options
+              const pt = shadow.getElementById('progressText');
+              pt.textContent = `${allRecords.length.toLocaleString()} rows fetched, but the download failed — ${e.message}`;
+              pt.classList.add('error');
+              setBusy(false);
+              return;
+            }
             setTimeout(() => animateClose(), 1_500);
           },
           onError(message) {
-            shadow.getElementById('progressFill').style.width = '0%';
-            const pt = shadow.getElementById('progressText');
-            pt.textContent = message;
-            pt.classList.add('error');
-            shadow.getElementById('download').disabled = false;
-            shadow.getElementById('copy').disabled = false;
-            shadow.getElementById('dismiss').disabled = false;
-            shadow.getElementById('close').disabled = false;
-            fetchAllBtn.textContent = 'Retry';
-            fetchAllBtn.disabled = false;
+            stopFetch(`${message} — ${cursor.records.length.toLocaleString()} rows kept, Resume continues from there`, true);
+          },
+          onCancel(fetched) {
+            stopFetch(`Cancelled — ${fetched.toLocaleString()} of ${totalSize.toLocaleString()} rows fetched so far`, false);
           },
         });
       });
     }
+
+    if (bulkBtn) {
+      // Bulk API 2.0 names for the delimiters the CSV setting allows
+      const BULK_DELIMITERS = { ',': 'COMMA', ';': 'SEMICOLON', '\t': 'TAB', '|': 'PIPE' };
+
+      // The Bulk API writes the CSV itself, so what the toast's own exports
+      // would do differently is listed when the export finishes.
+      const bulkCaveats = () => {
+        const caveats = [];
+        if (columnLayouts.load(columnsScope)) caveats.push('saved columns not applied');
+        if (BULK_FIXED_FORMATS.some((key) => settings.get(key) !== settings.DEFAULTS[key])) {
+          caveats.push('value formatting not applied');
+        }
+        if (settings.get('csvTypeRow')) caveats.push('no type row');
+        if (settings.get('csvDecimalComma')) caveats.push('numbers keep a decimal point');
+        return caveats;
+      };
+
+      const stopBulk = (message, isError) => {
+        const pt = shadow.getElementById('progressText');
+        pt.textContent = message;
+        pt.classList.toggle('error', isError);
+        setBusy(false);
+        cancelBtn.hidden = true;
+        bulkBtn.textContent = 'Retry Bulk export';
+      };
+
+      bulkBtn.addEventListener('click', async () => {
+        setBusy(true);
+        showProgress();
+        const onRetry = (message) => {
+          shadow.getElementById('progressText').textContent = message;
+        };
+
+        let result;
+        try {
+          result = await window.__SF_DC_BULK__.runBulkQuery({
+            soql: data.query,
+            apiVersion: data.apiVersion,
+            operation: data.queryAll ? 'queryAll' : 'query',
+            authHeader: _soqlAuthHeader,
+            columnDelimiter: BULK_DELIMITERS[settings.get('csvDelimiter')],
+            lineEnding: settings.get('csvLineEnding') === 'lf' ? 'LF' : 'CRLF',
+            bom: settings.get('csvBom'),
+            fetchImpl: (url, init) => fetchWithRetry(url, init, onRetry),
+            signal: controller.signal,
+            onProgress({ phase, state, processed, downloaded }) {
+              const fill = shadow.getElementById('progressFill');
+              const pt = shadow.getElementById('progressText');
+              if (phase === 'creating') {
+                fill.style.width = '0%';
+                pt.textContent = 'Creating Bulk API job…';
+              } else if (phase === 'processing') {
+                // Salesforce doesn't report query progress until the job completes
+                fill.style.width = '0%';
+                pt.textContent = `Bulk job ${state}… ${processed.toLocaleString()} rows processed`;
+              } else {
+                const total = processed || totalSize;
+                const pct = total > 0 ? Math.min(100, Math.round((downloaded / total) * 100)) : 0;
+                fill.style.width = pct + '%';
+                pt.textContent =
+                  `Downloading… ${downloaded.toLocaleString()} / ${total.toLocaleString()} rows (${pct}%)`;
+              }
+            },
+          });
+        } catch (e) {
+          if (controller.signal.aborted) stopBulk('Cancelled — Bulk API job aborted', false);
+          else stopBulk(e.message, true);
+          return;
+        }
+
+        cancelBtn.hidden = true;
+        shadow.getElementById('progressFill').style.width = '100%';
+        shadow.getElementById('progressText').textContent =
+          `✓ ${result.rowCount.toLocaleString()} rows exported (${formatBytes(result.blob.size)}) — downloading…`;
+        triggerSoqlCsvBlobDownload(objectType, result.blob, {
+          rows: result.rowCount,
+          query: data.query,
+          label: 'bulk',
+        });
+        const caveats = bulkCaveats();
+        if (caveats.length > 0) {
+          // Stay open so the note can be read; only closing is left
+          shadow.getElementById('progressText').textContent =
+            `✓ ${result.rowCount.toLocaleString()} rows downloaded as written by Salesforce — ${caveats.join(', ')}`;
+          shadow.getElementById('dismiss').disabled = false;
+          shadow.getElementById('close').disabled = false;
+          return;
+        }
+        setTimeout(() => animateClose(), 1_500);
+      });
+    }
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -597,13 +1624,30 @@
   // so only user-initiated tooling queries produce a toast.
   let _toolingQueryArmed = false;
 
-  // Dismiss callback for the currently visible toast.  Set when a toast opens,
-  // cleared when it closes.  A single permanent listener handles Escape for both
-  // DC and SOQL toasts without needing to add/remove listeners on each open.
-  let _escapeDismiss = null;
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && _escapeDismiss) _escapeDismiss();
-  });
+  // The same preflight answers with the query's column metadata: the SELECT
+  // list in order, aggregate aliases, and columns that may be null in every
+  // record.  Kept per API and query text until the data response arrives.
+  const _soqlColumns = new Map();
+  const SOQL_COLUMNS_MAX = 10;
+
+  function soqlColumnsKey(url) {
+    return `${/\/tooling\//.test(url) ? 'tooling' : 'data'}:${extractSoqlFromUrl(url)}`;
+  }
+
+  function rememberSoqlColumns(url, columnMetadata) {
+    const key = soqlColumnsKey(url);
+    _soqlColumns.delete(key);
+    _soqlColumns.set(key, columnMetadata);
+    if (_soqlColumns.size > SOQL_COLUMNS_MAX) _soqlColumns.delete(_soqlColumns.keys().next().value);
+  }
+
+  /** The preflight's column metadata for a data request, consumed once. */
+  function takeSoqlColumns(url) {
+    const key = soqlColumnsKey(url);
+    const columns = _soqlColumns.get(key) ?? null;
+    _soqlColumns.delete(key);
+    return columns;
+  }
 
   function processResponse(data, requestUrl, auraInfo = null) {
     if (!isDCQueryResponse(data)) return;
@@ -652,20 +1696,23 @@
         // All rows received — flush immediately
         if (acc._flushTimer) clearTimeout(acc._flushTimer);
         store.delete(queryId);
+        recordDcHistory(acc);
         showToast(acc);
       } else if (acc.returnedRows > 0) {
         // We have rows but haven't hit totalRows yet.  The server may have
         // silently capped the result (e.g. the automatic 1 000-row limit), so
-        // no further response will arrive.  Arm a 1.5-second timeout: if nothing
-        // else comes in for this queryId we flush whatever we have.
+        // no further response will arrive.  Arm a timeout (settings.flushTimeoutMs,
+        // 1.5 s by default): if nothing else comes in for this queryId we flush
+        // whatever we have.
         // Normal multi-page queries return their remaining rows within
         // milliseconds, so the timer will be cancelled long before it fires.
         if (acc._flushTimer) clearTimeout(acc._flushTimer);
         acc._flushTimer = setTimeout(() => {
           if (!store.has(queryId)) return; // already flushed
           store.delete(queryId);
+          recordDcHistory(acc);
           showToast(acc);
-        }, 1_500);
+        }, settings.get('flushTimeoutMs'));
       }
     } else {
       // ── No queryId – treat as self-contained single-page result ──────────
@@ -678,7 +1725,9 @@
         metadata: payload.metadata,
         returnedRows: thisPageRows,
         totalRows: thisPageRows,
+        auraInfo: auraInfo ?? null,
       };
+      recordDcHistory(acc);
       showToast(acc);
     }
   }
@@ -694,19 +1743,31 @@
    *  2. Metadata preflight — when the user clicks Execute the Dev Console
    *     first fires a request with &columns=true that returns column metadata,
    *     not records.  The actual record response comes in a second request
-   *     without that parameter.
+   *     without that parameter; the metadata is kept for it and gives the
+   *     export its column order and headers.
+   *
+   *  3. Continuation fetches — nextRecordsUrl paths like /query/01g…-2000
+   *     (or /queryAll/… for queries including deleted records) are fetched
+   *     internally by fetchAllSoqlRows; intercepting them here would produce
+   *     duplicate toasts.
    *
-   *  3. Continuation fetches — nextRecordsUrl paths like /query/01g…-2000 are
-   *     fetched internally by fetchAllSoqlRows; intercepting them here would
-   *     produce duplicate toasts.
+   * SOSL search responses go to processSoslResponse instead.
    */
   function processSoqlResponse(data, requestUrl) {
+    if (typeof requestUrl === 'string' && /[?&]columns=true/.test(requestUrl)) {
+      // 2. Metadata preflight (no records): keep its columns for the data request
+      if (Array.isArray(data?.columnMetadata)) rememberSoqlColumns(requestUrl, data.columnMetadata);
+      return;
+    }
+    if (isSoslSearchResponse(data, requestUrl)) {
+      processSoslResponse(data, requestUrl);
+      return;
+    }
     if (!isSoqlQueryResponse(data)) return;
     if (data.records.length === 0) return;
 
     if (typeof requestUrl === 'string') {
-      if (/[?&]columns=true/.test(requestUrl)) return;             // 1. Metadata preflight (no records)
-      if (/\/query\/[A-Za-z0-9]+-\d+/.test(requestUrl)) return;   // 2. Continuation fetch
+      if (/\/query(All)?\/[A-Za-z0-9]+-\d+/.test(requestUrl)) return;   // 3. Continuation fetch
 
       // Tooling API: allow only if armed by a preceding columns=true preflight.
       // Background queries (ApexClass, ApexOrgWideCoverage, …) skip the preflight
@@ -720,9 +1781,136 @@
       }
     }
 
-    showSoqlToast(data);
+    const query = extractSoqlFromUrl(requestUrl);
+    const columnMetadata = typeof requestUrl === 'string' ? takeSoqlColumns(requestUrl) : null;
+    const result = {
+      ...data,
+      query,
+      apiVersion: extractApiVersion(requestUrl),
+      tooling: typeof requestUrl === 'string' && /\/tooling\//.test(requestUrl),
+      queryAll: typeof requestUrl === 'string' && /\/queryAll[/?]/.test(requestUrl),
+      columnMetadata,
+    };
+    result.historyId = queryHistory.add({
+      kind: 'soql',
+      query,
+      objectType: data.records[0]?.attributes?.type ?? null,
+      rowCount: data.records.length,
+      totalRows: data.totalSize,
+      columnCount: (columnMetadata ?? soqlFieldNames(data.records)).length,
+      data: {
+        records: data.records,
+        totalSize: data.totalSize,
+        done: data.done,
+        nextRecordsUrl: data.nextRecordsUrl ?? null,
+        apiVersion: result.apiVersion,
+        tooling: result.tooling,
+        queryAll: result.queryAll,
+        columnMetadata,
+      },
+    });
+    showSoqlToast(result);
+  }
+
+  /**
+   * Process a REST SOSL response (see isSoslSearchResponse).  A search
+   * returns everything at once, so it is shown as a complete SOQL result
+   * whose records mix sObject types.
+   */
+  function processSoslResponse(data, requestUrl) {
+    const records = data.searchRecords;
+    if (records.length === 0) return;
+
+    const query = extractSoqlFromUrl(requestUrl);
+    const result = {
+      totalSize: records.length,
+      done: true,
+      records,
+      query,
+      apiVersion: extractApiVersion(requestUrl),
+      tooling: false,
+      sosl: true,
+    };
+    result.historyId = queryHistory.add({
+      kind: 'sosl',
+      query,
+      objectType: splitSoslTypes(records).map((t) => t.name).join(', '),
+      rowCount: records.length,
+      totalRows: records.length,
+      columnCount: soqlFieldNames(records).length,
+      data: { records, totalSize: records.length, done: true, nextRecordsUrl: null, apiVersion: result.apiVersion },
+    });
+    showSoqlToast(result);
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Query history
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /** Add a flushed DC accumulator to the history and remember its entry id. */
+  function recordDcHistory(acc) {
+    const sql = acc.auraInfo?.sql ?? null;
+    acc.historyId = queryHistory.add({
+      kind: 'dc',
+      query: sql,
+      objectType: extractTableName(sql),
+      rowCount: acc.returnedRows,
+      totalRows: acc.totalRows === Infinity ? null : acc.totalRows,
+      columnCount: getColumnNames(acc.metadata).length,
+      data: { queryId: acc.queryId, metadata: acc.metadata, dataRows: acc.dataRows },
+      // Aura context/token stay in memory only; after a reload they are stale anyway
+      live: { auraInfo: acc.auraInfo ?? null },
+    });
+  }
+
+  /** Rebuild the accumulator shape showToast expects from a DC history entry. */
+  function accFromHistory(entry) {
+    return {
+      queryId: entry.data.queryId,
+      dataRows: entry.data.dataRows,
+      metadata: entry.data.metadata,
+      returnedRows: entry.rowCount,
+      totalRows: entry.totalRows ?? entry.rowCount,
+      auraInfo: entry.live?.auraInfo ?? null,
+      historyId: entry.id,
+    };
+  }
+
+  /** Rebuild the SOQL response shape showSoqlToast expects from a history entry. */
+  function soqlResultFromHistory(entry) {
+    return { ...entry.data, query: entry.query, historyId: entry.id, sosl: entry.kind === 'sosl' };
+  }
+
+  const historyHandlers = {
+    onOpen(entry) {
+      if (entry.kind === 'dc') showToast(accFromHistory(entry));
+      else showSoqlToast(soqlResultFromHistory(entry));
+    },
+    /** Returns the download's promise, so the panel can show a failure. */
+    onDownload(entry) {
+      if (entry.kind === 'dc' && entry.live?.fullCsvFiles) {
+        return triggerCsvFilesDownload(accFromHistory(entry), entry.live.fullCsvFiles, { rows: entry.live.fullCsvRows });
+      }
+      if (entry.kind === 'dc') return triggerDownload(accFromHistory(entry));
+      return triggerSoqlDownload(entry.data.records, {
+        query: entry.query,
+        columns: entry.data.columnMetadata,
+        searchTypes: entry.kind === 'sosl' ? 'separate' : null,
+      });
+    },
+  };
+
+  function openHistoryPanel() {
+    queryHistory.openPanel(historyHandlers);
+  }
+
+  // Alt+Shift+H toggles the history panel even when no toast is showing.
+  document.addEventListener('keydown', (e) => {
+    if (e.altKey && e.shiftKey && e.code === 'KeyH') {
+      queryHistory.togglePanel(historyHandlers);
+    }
+  });
+
   // ─────────────────────────────────────────────────────────────────────────────
   // Patch window.fetch
   // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,124 @@
+/**
+ * options.js — Options page for SF Query Editor Helper.
+ *
+ * Reads and writes the export settings in chrome.storage.sync under
+ * "exportSettings".  Defaults and validation come from content-settings.js,
+ * the same file the content scripts use.  Every change is saved immediately;
+ * content-bridge.js relays it to open Salesforce tabs.  Filename templates
+ * and the date-time format get live previews rendered by content-filename.js
+ * and content-format.js.
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'exportSettings';
+  const { DEFAULTS, sanitize } = window.__SF_DC_SETTINGS__;
+  const { renderFilename } = window.__SF_DC_FILENAME__;
+  const { createValueFormatter } = window.__SF_DC_FORMAT__;
+
+  // Sample results the filename previews are rendered for
+  const PREVIEW_HOST = 'acme--uat.sandbox.my.salesforce.com';
+  const PREVIEW_DC = {
+    object: 'ssot__Individual__dlm',
+    table: 'ssot__Individual__dlm',
+    dataspace: 'default',
+    rows: 125000,
+    queryId: '20251019a1b2c3d4e5f6',
+  };
+  const PREVIEW_SOQL = { object: 'Account', table: 'Account', rows: 2000 };
+  const PREVIEW_DATETIME = Date.UTC(2025, 9, 19, 14, 30, 5, 250);
+
+  // CSV dialect presets offered by the "Dialect preset" menu
+  const CSV_PRESETS = {
+    excel: { csvDelimiter: ',', csvDecimalComma: false, csvLineEnding: 'crlf', csvBom: true },
+    'excel-eu': { csvDelimiter: ';', csvDecimalComma: true, csvLineEnding: 'crlf', csvBom: true },
+    tsv: { csvDelimiter: '\t', csvDecimalComma: false, csvLineEnding: 'crlf', csvBom: true },
+    pipe: { csvDelimiter: '|', csvDecimalComma: false, csvLineEnding: 'lf', csvBom: false },
+    unix: { csvDelimiter: ',', csvDecimalComma: false, csvLineEnding: 'lf', csvBom: false },
+  };
+
+  const form = document.getElementById('settings');
+  const status = document.getElementById('status');
+  let statusTimer = null;
+
+  function showStatus(text) {
+    status.textContent = text;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => { status.textContent = ''; }, 1_500);
+  }
+
+  function updatePreviews() {
+    const options = {
+      timestampFormat: document.getElementById('timestampFormat').value || DEFAULTS.timestampFormat,
+      host: PREVIEW_HOST,
+    };
+    const preview = (templateId, previewId, context) => {
+      const template = document.getElementById(templateId).value || DEFAULTS[templateId];
+      document.getElementById(previewId).textContent = renderFilename(template, context, options) + '.csv';
+    };
+    preview('dcFilenameTemplate', 'dcFilenamePreview', PREVIEW_DC);
+    preview('soqlFilenameTemplate', 'soqlFilenamePreview', PREVIEW_SOQL);
+
+    // Invalid entries (an unknown time zone, …) preview as their defaults would
+    const format = createValueFormatter({ ...DEFAULTS, ...sanitize(read()) });
+    document.getElementById('dateTimePreview').textContent =
+      `2025-10-19T14:30:05.250Z → ${format(PREVIEW_DATETIME, 'datetime')}`;
+  }
+
+  function fill(settings) {
+    for (const key of Object.keys(DEFAULTS)) {
+      const el = document.getElementById(key);
+      if (el.type === 'checkbox') el.checked = settings[key];
+      else el.value = settings[key];
+    }
+    updatePreviews();
+  }
+
+  function read() {
+    const raw = {};
+    for (const key of Object.keys(DEFAULTS)) {
+      const el = document.getElementById(key);
+      if (el.type === 'checkbox') raw[key] = el.checked;
+      else if (el.type === 'number') raw[key] = el.valueAsNumber;
+      else raw[key] = el.value;
+    }
+    return raw;
+  }
+
+  function save() {
+    // Out-of-range values fall back to their defaults; show what was kept
+    const settings = { ...DEFAULTS, ...sanitize(read()) };
+    chrome.storage.sync.set({ [STORAGE_KEY]: settings }, () => {
+      if (chrome.runtime.lastError) {
+        showStatus('Could not save: ' + chrome.runtime.lastError.message);
+        return;
+      }
+      fill(settings);
+      showStatus('Saved');
+    });
+  }
+
+  // Suggestions for the time zone field
+  const zones = ['UTC', 'local', ...(Intl.supportedValuesOf?.('timeZone') ?? [])];
+  document.getElementById('timeZones').append(...zones.map((zone) => new Option(zone)));
+
+  chrome.storage.sync.get({ [STORAGE_KEY]: {} }, (items) => {
+    fill({ ...DEFAULTS, ...sanitize(items[STORAGE_KEY]) });
+  });
+
+  // Runs before the form's change listener below, which then saves the preset
+  document.getElementById('csvPreset').addEventListener('change', (e) => {
+    const preset = CSV_PRESETS[e.target.value];
+    if (preset) fill({ ...read(), ...preset });
+    e.target.value = '';
+  });
+
+  form.addEventListener('change', save);
+  form.addEventListener('input', updatePreviews);
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  document.getElementById('restoreDefaults').addEventListener('click', () => {
+    fill(DEFAULTS);
+    save();
+  });
+})();
@@ -0,0 +1,96 @@
+/**
+ * bulk-stub.js — Local stub of the Bulk API 2.0 query endpoints.
+ *
+ * Serves the three calls content-bulk.js makes from a scripted scenario, on
+ * an ephemeral localhost port:
+ *
+ *   POST  /services/data/vXX.X/jobs/query               → create the job
+ *   GET   /services/data/vXX.X/jobs/query/{id}          → next poll state
+ *   GET   /services/data/vXX.X/jobs/query/{id}/results  → CSV pages, chained
+ *                                                          by Sforce-Locator
+ *   PATCH /services/data/vXX.X/jobs/query/{id}          → abort
+ *
+ * Every request is recorded (method, path, query, headers, parsed body) so
+ * tests can assert on what the runner sent.
+ */
+'use strict';
+
+const http = require('node:http');
+
+const JOB_ID = '750000000000001AAA';
+
+/**
+ * Start the stub.
+ *
+ * @param {object}   [scenario]
+ * @param {object}   [scenario.create] - { status, body } for the create call;
+ *        defaults to 200 with { id: JOB_ID, state: 'UploadComplete' }.
+ * @param {object[]} [scenario.polls] - Job bodies returned by successive
+ *        polls ({ state, numberRecordsProcessed, errorMessage }) or
+ *        { status, body } error replies.  The last one repeats.
+ * @param {object[]} [scenario.pages] - Result pages: { csv, records } or
+ *        { status, body }.  Page n is served for locator n (none for page 0);
+ *        the last page answers with Sforce-Locator: null.
+ * @returns {Promise<{ baseUrl: string, jobId: string, requests: object[],
+ *                     close: () => Promise<void> }>}
+ */
+async function startBulkStub(scenario = {}) {
+  const {
+    create = { status: 200, body: { id: JOB_ID, state: 'UploadComplete' } },
+    polls = [{ state: 'JobComplete', numberRecordsProcessed: 0 }],
+    pages = [{ csv: '"Id"\r\n', records: 0 }],
+  } = scenario;
+  const requests = [];
+  let pollCount = 0;
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch (_) { body = raw; }
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      const match = url.pathname.match(/^\/services\/data\/v[\d.]+\/jobs\/query(?:\/([^/]+))?(\/results)?$/);
+      if (!match) return json(res, 404, [{ errorCode: 'NOT_FOUND', message: 'No such resource' }]);
+      const [, jobId, results] = match;
+
+      if (!jobId && req.method === 'POST') return json(res, create.status ?? 200, create.body);
+      if (jobId !== JOB_ID) return json(res, 404, [{ errorCode: 'NOT_FOUND', message: 'Unknown job' }]);
+      if (req.method === 'PATCH') return json(res, 200, { id: JOB_ID, state: body?.state });
+
+      if (!results) {
+        const poll = polls[Math.min(pollCount++, polls.length - 1)];
+        if (poll.status) return json(res, poll.status, poll.body);
+        return json(res, 200, { id: JOB_ID, ...poll });
+      }
+
+      const index = Number(url.searchParams.get('locator') ?? 0);
+      const page = pages[index];
+      if (!page) return json(res, 400, [{ errorCode: 'INVALIDLOCATOR', message: 'Invalid locator' }]);
+      if (page.status) return json(res, page.status, page.body);
+      res.writeHead(200, {
+        'Content-Type': 'text/csv',
+        'Sforce-NumberOfRecords': String(page.records),
+        'Sforce-Locator': index + 1 < pages.length ? String(index + 1) : 'null',
+      });
+      res.end(page.csv);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    jobId: JOB_ID,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startBulkStub, JOB_ID };
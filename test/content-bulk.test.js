@@ -0,0 +1,171 @@
+/**
+ * content-bulk.test.js — runBulkQuery against the local Bulk API stub.
+ *
+ * content-bulk.js is a MAIN-world script, so it is evaluated in a VM context
+ * whose `window` points the runner at the stub.  Run with `node --test test/`.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { startBulkStub, JOB_ID } = require('./bulk-stub');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'content-bulk.js'), 'utf8');
+
+/** Evaluate content-bulk.js with a page origin of `baseUrl`. */
+function loadBulk(baseUrl) {
+  const window = { location: { origin: baseUrl }, fetch };
+  vm.runInNewContext(SOURCE, { window, Blob, DOMException, setTimeout, clearTimeout });
+  return window.__SF_DC_BULK__;
+}
+
+/** Start a stub for `scenario` and close it when the test ends. */
+async function withStub(t, scenario) {
+  const stub = await startBulkStub(scenario);
+  t.after(() => stub.close());
+  return { stub, bulk: loadBulk(stub.baseUrl) };
+}
+
+/** Blob text with any BOM kept (Blob#text() strips it). */
+async function blobText(blob) {
+  return Buffer.from(await blob.arrayBuffer()).toString('utf8');
+}
+
+const QUERY = { soql: 'SELECT Id, Name FROM Account', apiVersion: '62.0', pollIntervalMs: 5 };
+
+test('creates a CSV query job with the dialect and Authorization header', async (t) => {
+  const { stub, bulk } = await withStub(t, {});
+  await bulk.runBulkQuery({
+    ...QUERY,
+    operation: 'queryAll',
+    columnDelimiter: 'SEMICOLON',
+    lineEnding: 'LF',
+    authHeader: 'OAuth 00Dx!token',
+  });
+
+  const create = stub.requests[0];
+  assert.equal(create.method, 'POST');
+  assert.equal(create.path, '/services/data/v62.0/jobs/query');
+  assert.equal(create.headers.authorization, 'OAuth 00Dx!token');
+  assert.deepEqual(create.body, {
+    operation: 'queryAll',
+    query: 'SELECT Id, Name FROM Account',
+    contentType: 'CSV',
+    columnDelimiter: 'SEMICOLON',
+    lineEnding: 'LF',
+  });
+  assert.ok(stub.requests.every((r) => r.headers.authorization === 'OAuth 00Dx!token'));
+});
+
+test('polls until JobComplete and reports progress', async (t) => {
+  const { stub, bulk } = await withStub(t, {
+    polls: [
+      { state: 'UploadComplete' },
+      { state: 'InProgress', numberRecordsProcessed: 1 },
+      { state: 'JobComplete', numberRecordsProcessed: 2 },
+    ],
+    pages: [{ csv: '"Id"\r\n"001"\r\n"002"\r\n', records: 2 }],
+  });
+  const progress = [];
+  await bulk.runBulkQuery({ ...QUERY, onProgress: (p) => progress.push(p) });
+
+  const polls = stub.requests.filter((r) => r.method === 'GET' && r.path.endsWith(`/jobs/query/${JOB_ID}`));
+  assert.equal(polls.length, 3);
+  assert.deepEqual(
+    progress.map((p) => p.state ?? p.phase),
+    ['creating', 'UploadComplete', 'InProgress', 'JobComplete', 'downloading'],
+  );
+  assert.deepEqual({ ...progress.at(-1) }, { phase: 'downloading', downloaded: 2, processed: 2 });
+});
+
+test('follows Sforce-Locator and keeps the header row from the first page only', async (t) => {
+  const { stub, bulk } = await withStub(t, {
+    polls: [{ state: 'JobComplete', numberRecordsProcessed: 4 }],
+    pages: [
+      { csv: '"Id","Name"\r\n"001","a"\r\n"002","b, c"\r\n', records: 2 },
+      { csv: '"Id","Name"\r\n"003","d"\r\n', records: 1 },
+      { csv: '"Id","Name"\r\n"004","e"\r\n', records: 1 },
+    ],
+  });
+  const result = await bulk.runBulkQuery(QUERY);
+
+  const pages = stub.requests.filter((r) => r.path.endsWith('/results'));
+  assert.deepEqual(pages.map((r) => r.query.get('locator')), [null, '1', '2']);
+  assert.ok(pages.every((r) => r.query.get('maxRecords') === '50000'));
+  assert.equal(result.jobId, JOB_ID);
+  assert.equal(result.rowCount, 4);
+  assert.equal(
+    await blobText(result.blob),
+    '\uFEFF"Id","Name"\r\n"001","a"\r\n"002","b, c"\r\n"003","d"\r\n"004","e"\r\n',
+  );
+});
+
+test('leaves out the BOM when asked to', async (t) => {
+  const { bulk } = await withStub(t, {});
+  const result = await bulk.runBulkQuery({ ...QUERY, bom: false });
+  assert.equal(await blobText(result.blob), '"Id"\r\n');
+});
+
+test('rejects API versions before Bulk API 2.0 query jobs without calling out', async (t) => {
+  const { stub, bulk } = await withStub(t, {});
+  await assert.rejects(bulk.runBulkQuery({ ...QUERY, apiVersion: '46.0' }), /API v47\.0 or later/);
+  assert.equal(stub.requests.length, 0);
+});
+
+test('surfaces the error message when the job cannot be created', async (t) => {
+  const { bulk } = await withStub(t, {
+    create: { status: 400, body: [{ errorCode: 'INVALIDJOB', message: 'Aggregate queries are not supported' }] },
+  });
+  await assert.rejects(
+    bulk.runBulkQuery(QUERY),
+    { message: 'Creating Bulk API job failed (400): Aggregate queries are not supported' },
+  );
+});
+
+test('rejects when the job fails or is aborted server-side', async (t) => {
+  const failed = await withStub(t, {
+    polls: [{ state: 'InProgress' }, { state: 'Failed', errorMessage: 'INVALID_FIELD: No such column' }],
+  });
+  await assert.rejects(failed.bulk.runBulkQuery(QUERY), { message: 'Bulk API job failed: INVALID_FIELD: No such column' });
+
+  const aborted = await withStub(t, { polls: [{ state: 'Aborted' }] });
+  await assert.rejects(aborted.bulk.runBulkQuery(QUERY), { message: 'Bulk API job aborted' });
+});
+
+test('rejects when a poll or a result page errors', async (t) => {
+  const poll = await withStub(t, {
+    polls: [{ status: 500, body: [{ errorCode: 'UNKNOWN_EXCEPTION', message: 'Server down' }] }],
+  });
+  await assert.rejects(poll.bulk.runBulkQuery(QUERY), { message: 'Polling Bulk API job failed (500): Server down' });
+
+  const page = await withStub(t, {
+    pages: [
+      { csv: '"Id"\r\n"001"\r\n', records: 1 },
+      { status: 400, body: [{ errorCode: 'INVALIDLOCATOR', message: 'Invalid locator' }] },
+    ],
+  });
+  await assert.rejects(page.bulk.runBulkQuery(QUERY), { message: 'Downloading Bulk API results failed (400): Invalid locator' });
+});
+
+test('cancelling aborts the job server-side', async (t) => {
+  const { stub, bulk } = await withStub(t, { polls: [{ state: 'InProgress' }] });
+  const controller = new AbortController();
+  const run = bulk.runBulkQuery({
+    ...QUERY,
+    pollIntervalMs: 1_000,
+    signal: controller.signal,
+    onProgress: (p) => { if (p.state === 'InProgress') controller.abort(); },
+  });
+  await assert.rejects(run, { name: 'AbortError' });
+
+  // The abort PATCH is fire-and-forget; give it a moment to land
+  for (let i = 0; i < 50 && !stub.requests.some((r) => r.method === 'PATCH'); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  const patch = stub.requests.find((r) => r.method === 'PATCH');
+  assert.equal(patch?.path, `/services/data/v62.0/jobs/query/${JOB_ID}`);
+  assert.deepEqual(patch.body, { state: 'Aborted' });
+});
@@ -0,0 +1,105 @@
+/**
+ * content-history.test.js — What the query history writes to localStorage.
+ *
+ * content-history.js is a MAIN-world script, so it is evaluated in a VM
+ * context with in-memory Storage stand-ins.  Rows count their own toJSON()
+ * calls, so the tests can tell when persist() stringified them.  Run with
+ * `node --test test/`.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'content-history.js'), 'utf8');
+
+/** Minimal Storage backed by a Map. */
+function createStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+/** Evaluate content-history.js; `stored()` parses what it last persisted. */
+function loadHistory() {
+  const localStorage = createStorage();
+  const window = {};
+  vm.runInNewContext(SOURCE, { window, localStorage, sessionStorage: createStorage() });
+  const stored = () => JSON.parse(localStorage.getItem(localStorage.key(0))).entries;
+  return { history: window.__SF_DC_HISTORY__, stored };
+}
+
+/** A record whose serializations are counted in `counter.calls`. */
+function countedRecord(counter, fields) {
+  return { ...fields, toJSON() { counter.calls++; return fields; } };
+}
+
+test('stores a fitting entry with its rows, and a summary-only entry as is', () => {
+  const { history, stored } = loadHistory();
+  history.add({ kind: 'dc', query: 'SELECT a FROM T__dlm', rowCount: 0, data: null });
+  const records = [{ Id: '001', Name: 'a "quoted" name' }, { Id: '002', Name: null }];
+  const id = history.add({
+    kind: 'soql',
+    query: 'SELECT Id, Name FROM Account',
+    rowCount: 2,
+    columnCount: 2,
+    data: { records, totalSize: 2, done: true, nextRecordsUrl: null },
+    live: { token: 'never stored' },
+  });
+
+  const [soql, dc] = stored();
+  assert.equal(soql.id, id);
+  assert.deepEqual(soql.data, { records, totalSize: 2, done: true, nextRecordsUrl: null });
+  assert.equal(soql.dataDropped, false);
+  assert.equal(soql.live, undefined);
+  assert.equal(dc.data, null);
+  assert.equal(dc.dataDropped, false);
+});
+
+test('drops the rows of an oversized Fetch all without serializing them all', () => {
+  const { history, stored } = loadHistory();
+  const id = history.add({ kind: 'soql', query: 'SELECT Id FROM Account', rowCount: 1, data: { records: [] } });
+
+  // Millions of records: the commas alone are past the budget
+  const counter = { calls: 0 };
+  const record = countedRecord(counter, { Id: '001000000000001AAA' });
+  history.update(id, { rowCount: 3_000_000, data: { records: new Array(3_000_000).fill(record), done: true } });
+  assert.equal(counter.calls, 0);
+  assert.equal(stored()[0].dataDropped, true);
+  assert.equal(stored()[0].data, null);
+  assert.equal(stored()[0].rowCount, 3_000_000);
+
+  // Few but wide records: measuring stops once the budget is passed
+  const wide = Array.from({ length: 100 }, (_, i) => countedRecord(counter, { Id: String(i), Body: 'x'.repeat(50_000) }));
+  history.update(id, { rowCount: 100, data: { records: wide, done: true } });
+  assert.ok(counter.calls < 50, `${counter.calls} records serialized`);
+  assert.equal(stored()[0].dataDropped, true);
+  assert.equal(history.get(id).data.records, wide);
+});
+
+test('re-serializes the rows only when the update brings new ones', () => {
+  const { history, stored } = loadHistory();
+  const counter = { calls: 0 };
+  const records = [1, 2, 3].map((i) => countedRecord(counter, { Id: String(i) }));
+  const id = history.add({ kind: 'soql', rowCount: 3, data: { records, done: false } });
+  assert.equal(counter.calls, 3);
+
+  history.update(id, { totalRows: 10 });
+  history.update(id, { live: { fullCsvFiles: [], fullCsvRows: 3 } });
+  assert.equal(counter.calls, 3);
+  assert.equal(stored()[0].totalRows, 10);
+  assert.deepEqual(stored()[0].data.records, [{ Id: '1' }, { Id: '2' }, { Id: '3' }]);
+
+  history.update(id, { rowCount: 4, data: { records: [...records, countedRecord(counter, { Id: '4' })], done: true } });
+  assert.equal(counter.calls, 7);
+  assert.equal(stored()[0].data.records.length, 4);
+  assert.equal(stored()[0].rowCount, 4);
+});